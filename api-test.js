@@ -6,9 +6,17 @@ const isDev = process.env.NODE_ENV === 'development' || process.env.DEV_MODE ===
 const port = process.env.PORT || (isDev ? 8080 : 443);
 const protocol = isDev ? 'http' : 'https';
 const BASE_URL = `${protocol}://localhost:${port}`;
-const SPREADSHEET_ID = process.env.GOOGLE_SHEET_ID || 'your_spreadsheet_id_here';
+// Against a server started with SHEETS_BACKEND=memory|file (npm run dev:local),
+// no credentials or real spreadsheet are needed
+const isLocalBackend = ['memory', 'file'].includes(process.env.SHEETS_BACKEND);
+const SPREADSHEET_ID = process.env.GOOGLE_SHEET_ID || (isLocalBackend ? 'local' : 'your_spreadsheet_id_here');
 const SHEET_NAME = 'TestSheet';
 
+// Send the API key with every request when one is configured
+if (process.env.API_KEY) {
+    axios.defaults.headers.common['X-API-Key'] = process.env.API_KEY;
+}
+
 // Disable SSL verification for local HTTPS testing (remove in production)
 if (!isDev) {
     process.env.NODE_TLS_REJECT_UNAUTHORIZED = '0';
@@ -38,25 +46,22 @@ async function testAPI() {
             const createSheetResponse = await axios.post(`${BASE_URL}/sheets`, {
                 spreadsheetId: SPREADSHEET_ID,
                 sheetName: SHEET_NAME,
-                headers: ['Timestamp', 'Name', 'Email', 'Message']
+                headers: ['Timestamp', 'Name', 'Email', 'Message'],
+                frozenRows: 1,
+                headerStyle: { bold: true }
             });
             console.log('Create sheet:', createSheetResponse.data);
             console.log('✅ Sheet creation passed\n');
         } catch (sheetError) {
-            if (sheetError.response?.status === 400) {
-                const errorMsg = sheetError.response?.data?.message || '';
-                if (errorMsg.includes('already exists') || errorMsg.includes('duplicate')) {
-                    console.log('ℹ️ Sheet already exists, continuing...\n');
-                } else if (errorMsg.includes('not found') || errorMsg.includes('Requested entity was not found')) {
-                    console.error('❌ Spreadsheet not found or not accessible!');
-                    console.log('\n💡 Check:');
-                    console.log('1. Spreadsheet ID is correct:', SPREADSHEET_ID);
-                    console.log('2. Spreadsheet is shared with service account email');
-                    console.log('3. Service account has edit permissions');
-                    return;
-                } else {
-                    console.log('⚠️ Sheet creation failed:', errorMsg);
-                }
+            const { code, hint } = sheetError.response?.data || {};
+            if (code === 'SHEET_EXISTS') {
+                console.log('ℹ️ Sheet already exists, continuing...\n');
+            } else if (code === 'SPREADSHEET_NOT_FOUND' || code === 'SHEET_NOT_SHARED') {
+                console.error('❌ Spreadsheet not found or not accessible!');
+                console.log('\n💡 Check:');
+                console.log('1. Spreadsheet ID is correct:', SPREADSHEET_ID);
+                console.log('2.', hint);
+                return;
             } else {
                 console.log('⚠️ Sheet creation failed:', sheetError.response?.data || sheetError.message);
             }
@@ -121,6 +126,203 @@ async function testAPI() {
             console.error('❌ Failed to retrieve entries:', retrieveError.response?.data || retrieveError.message);
         }
 
+        // Test 6: Soft delete and restore a row wider than A:Z (needs SOFT_DELETE=true on the server)
+        console.log('6. Archiving and restoring a wide row...');
+        try {
+            const wideRow = Array.from({ length: 30 }, (_, i) => `Value ${i + 1}`);
+            wideRow[24] = '=1+2';
+            wideRow[27] = "''quoted";
+
+            const added = await axios.post(`${BASE_URL}/entries`, {
+                spreadsheetId: SPREADSHEET_ID,
+                sheetName: SHEET_NAME,
+                data: wideRow
+            });
+            const row = parseInt(added.data.updatedRange.match(/(\d+):/)[1]);
+            const expected = added.data.data.map(value => value.replace(/^'/, ''));
+
+            const deleted = await axios.delete(`${BASE_URL}/entries`, {
+                data: { spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME, rowNumbers: [row] }
+            });
+            if (!deleted.data.archived) {
+                console.log('ℹ️ Soft delete is off on this server, skipping\n');
+            } else {
+                const restored = await axios.post(`${BASE_URL}/entries/restore`, {
+                    spreadsheetId: SPREADSHEET_ID,
+                    sheetName: SHEET_NAME,
+                    ids: deleted.data.archived.map(entry => entry.id)
+                });
+                const newRow = restored.data.restored[0].row;
+                const readBack = await axios.get(`${BASE_URL}/entries`, {
+                    params: {
+                        spreadsheetId: SPREADSHEET_ID,
+                        sheetName: SHEET_NAME,
+                        format: 'rows',
+                        includeHeader: 'false',
+                        range: `A${newRow}:AD${newRow}`
+                    }
+                });
+                const values = readBack.data.data[0];
+                if (JSON.stringify(values) === JSON.stringify(expected)) {
+                    console.log('✅ Wide row restored with all 30 values\n');
+                } else {
+                    console.error('❌ Restored row differs:', { expected, values });
+                }
+            }
+        } catch (archiveError) {
+            console.error('❌ Failed to archive and restore:', archiveError.response?.data || archiveError.message);
+        }
+
+        // Test 7: A Google outage during a batch is queued rather than failed
+        console.log('7. Queueing a batch during a Google outage...');
+        try {
+            await testBatchOutage();
+        } catch (outageError) {
+            console.error('❌ Outage test failed:', outageError.message);
+        }
+
+        // Test 8: timestampColumn -1 puts the timestamp after the last value
+        console.log('8. Adding entry with the timestamp at the end...');
+        try {
+            const endTimestampResponse = await axios.post(`${BASE_URL}/entries`, {
+                spreadsheetId: SPREADSHEET_ID,
+                sheetName: SHEET_NAME,
+                data: ['Sam Lee', 'sam@example.com', 'Timestamp last'],
+                options: {
+                    includeTimestamp: true,
+                    timestampColumn: -1
+                }
+            });
+            const { data } = endTimestampResponse.data;
+            if (data.length === 4 && data[2] === 'Timestamp last') {
+                console.log('✅ Timestamp appended at the end\n');
+            } else {
+                console.error('❌ Unexpected row:', data);
+            }
+        } catch (endTimestampError) {
+            console.error('❌ Failed to add entry with timestampColumn -1:', endTimestampError.response?.data || endTimestampError.message);
+        }
+
+        // Test 9: Query a column past Z and the last header; limit=0 is rejected
+        console.log('9. Querying a column past the last header...');
+        try {
+            const marker = `Past Z ${Date.now()}`;
+            await axios.post(`${BASE_URL}/entries`, {
+                spreadsheetId: SPREADSHEET_ID,
+                sheetName: SHEET_NAME,
+                data: [...Array(29).fill(''), marker]
+            });
+            const queried = await axios.get(`${BASE_URL}/entries`, {
+                params: {
+                    spreadsheetId: SPREADSHEET_ID,
+                    sheetName: SHEET_NAME,
+                    where: `AD:eq:${marker}`,
+                    fields: 'AD',
+                    limit: 1
+                }
+            });
+            const records = queried.data.data;
+            if (records.length === 1 && records[0].AD === marker) {
+                console.log('✅ Column AD filtered and returned');
+            } else {
+                console.error('❌ Unexpected records:', records);
+            }
+
+            const zeroLimit = await axios.get(`${BASE_URL}/entries`, {
+                params: { spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME, limit: 0 },
+                validateStatus: () => true
+            });
+            if (zeroLimit.status === 400) {
+                console.log('✅ limit=0 rejected\n');
+            } else {
+                console.error('❌ limit=0 answered', zeroLimit.status, zeroLimit.data);
+            }
+        } catch (queryError) {
+            console.error('❌ Failed to query past the last header:', queryError.response?.data || queryError.message);
+        }
+
+        // Test 10: A key scoped to some sheets can't reach others through a range
+        console.log('10. Checking API key sheet scoping...');
+        try {
+            await testKeyScoping();
+        } catch (scopeError) {
+            console.error('❌ Key scoping test failed:', scopeError.message);
+        }
+
+        // Test 11: Text with digits isn't compared as a date
+        console.log('11. Filtering and sorting text that contains digits...');
+        try {
+            const marker = `Digits ${Date.now()}`;
+            await axios.post(`${BASE_URL}/entries/batch`, {
+                spreadsheetId: SPREADSHEET_ID,
+                sheetName: SHEET_NAME,
+                rows: [['', 'Suite 1', '', marker], ['', 'Room 1', '', marker], ['', 'ID-1', '', marker]]
+            });
+            const matched = await axios.get(`${BASE_URL}/entries`, {
+                params: { spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME, where: `Message:eq:${marker};Name:eq:Room 1` }
+            });
+            const sorted = await axios.get(`${BASE_URL}/entries`, {
+                params: { spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME, where: `Message:eq:${marker}`, sort: 'Name' }
+            });
+            const names = sorted.data.data.map(record => record.Name);
+            if (matched.data.total === 1 && matched.data.data[0].Name === 'Room 1' &&
+                JSON.stringify(names) === JSON.stringify(['ID-1', 'Room 1', 'Suite 1'])) {
+                console.log('✅ "Room 1" matched only itself and sorted as text\n');
+            } else {
+                console.error('❌ Unexpected results:', matched.data.data, names);
+            }
+        } catch (digitsError) {
+            console.error('❌ Failed to filter text with digits:', digitsError.response?.data || digitsError.message);
+        }
+
+        // Test 12: Over a rate limit, or after too many unknown keys, the answer is 429
+        console.log('12. Checking rate limits...');
+        try {
+            await testRateLimits();
+        } catch (limitError) {
+            console.error('❌ Rate limit test failed:', limitError.message);
+        }
+
+        // Test 13: Shopify orders need a valid signature and are written once per delivery
+        console.log('13. Checking Shopify order webhooks...');
+        try {
+            await testShopifyWebhook();
+        } catch (shopifyError) {
+            console.error('❌ Shopify webhook test failed:', shopifyError.message);
+        }
+
+        // Test 14: Webhooks need a valid signature, and each event is written whole
+        console.log('14. Checking signed webhooks...');
+        try {
+            await testSignedWebhook();
+        } catch (hookError) {
+            console.error('❌ Webhook test failed:', hookError.message);
+        }
+
+        // Test 15: A retried Idempotency-Key replays the first response instead of writing again
+        console.log('15. Checking Idempotency-Key replays...');
+        try {
+            await testIdempotency();
+        } catch (idempotencyError) {
+            console.error('❌ Idempotency test failed:', idempotencyError.message);
+        }
+
+        // Test 16: Restores running side by side each take only their own rows out of the archive
+        console.log('16. Restoring archived rows concurrently...');
+        try {
+            await testConcurrentRestores();
+        } catch (restoreError) {
+            console.error('❌ Concurrent restore test failed:', restoreError.message);
+        }
+
+        // Test 17: Linking a Google account needs an admin's start link and the browser that opened it
+        console.log('17. Checking the Google account linking flow...');
+        try {
+            await testOAuthStart();
+        } catch (oauthError) {
+            console.error('❌ OAuth start test failed:', oauthError.message);
+        }
+
         console.log('🎉 Tests completed!');
 
     } catch (error) {
@@ -136,6 +338,517 @@ async function testAPI() {
     }
 }
 
+// Runs in this process against a stubbed Sheets client, since a live server
+// can't be made to lose Google on cue: POST /entries/batch must answer 202 and
+// queue the rows, and replaying them must wait while Google is still down.
+async function testBatchOutage() {
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const outbox = require('./outbox');
+    const audit = require('./audit');
+    const { routes, handleRequest, drainOutbox } = require('./routes');
+    const GoogleSheetsService = require('./googleSheetsService');
+
+    const outboxFile = path.join(os.tmpdir(), `api-test-outbox-${process.pid}.json`);
+    outbox.enable(outboxFile);
+    audit.setSink(null);
+
+    let googleDown = true;
+    const service = new GoogleSheetsService();
+    service.sheets = {
+        spreadsheets: {
+            values: {
+                append: async ({ resource }) => {
+                    if (googleDown) {
+                        throw Object.assign(new Error('The service is currently unavailable.'), {
+                            code: 503,
+                            response: { status: 503, data: { error: { code: 503, message: 'The service is currently unavailable.', status: 'UNAVAILABLE' } } }
+                        });
+                    }
+                    return { data: { updates: { updatedRange: `${SHEET_NAME}!A2:B${resource.values.length + 1}` } } };
+                }
+            }
+        }
+    };
+    const getSheetsService = async () => service;
+
+    try {
+        const route = routes.find(candidate => candidate.method === 'POST' && candidate.path === '/entries/batch');
+        const response = await handleRequest(route, {
+            method: 'POST',
+            params: {},
+            query: {},
+            body: { spreadsheetId: SPREADSHEET_ID, sheetName: SHEET_NAME, rows: [['a', 1], ['b', 2]] },
+            headers: process.env.API_KEY ? { 'x-api-key': process.env.API_KEY } : {},
+            ip: '127.0.0.1'
+        }, getSheetsService);
+
+        const queued = outbox.get(response.body.id);
+        if (response.status !== 202 || !queued || queued.route !== 'POST /entries/batch') {
+            throw new Error(`Expected 202 and a queued item, got ${response.status}: ${JSON.stringify(response.body)}`);
+        }
+
+        await drainOutbox(getSheetsService);
+        if (outbox.get(queued.id).status !== 'pending') {
+            throw new Error(`Replay during the outage should pause, but the item is ${outbox.get(queued.id).status}`);
+        }
+
+        googleDown = false;
+        await drainOutbox(getSheetsService);
+        if (outbox.get(queued.id).status !== 'done') {
+            throw new Error(`Replay after the outage should finish, but the item is ${outbox.get(queued.id).status}`);
+        }
+
+        console.log('✅ Batch queued during the outage and written after it\n');
+    } finally {
+        fs.rmSync(outboxFile, { force: true });
+    }
+}
+
+// The in-process tests below call routes directly, as the server would, on a
+// local in-memory Sheets backend with their own API keys
+async function callRoute(method, path, request, getSheetsService) {
+    const { routes, handleRequest } = require('./routes');
+    const route = routes.find(candidate => candidate.method === method && candidate.path === path);
+    return handleRequest(route, { method, params: {}, query: {}, body: {}, headers: {}, ip: '127.0.0.1', ...request }, getSheetsService);
+}
+
+function localSheetsService() {
+    const GoogleSheetsService = require('./googleSheetsService');
+    const { getLocalSheets } = require('./localSheets');
+
+    const service = new GoogleSheetsService();
+    service.sheets = getLocalSheets('memory');
+    service.clientEmail = 'local memory backend';
+    return async () => service;
+}
+
+// Keys 'admin' and 'public' (read and append, on sheet Public only), for the
+// length of `test`
+async function withTestKeys(test) {
+    const apiKeys = require('./apiKeys');
+    const audit = require('./audit');
+
+    audit.setSink(null);
+    apiKeys.setKeys([
+        { id: 'admin', hash: apiKeys.hashKey('admin-key'), actions: ['admin'], spreadsheets: ['*'] },
+        { id: 'public', hash: apiKeys.hashKey('public-key'), actions: ['read', 'append'], spreadsheets: ['*'], sheets: ['Public'] }
+    ]);
+    try {
+        return await test({ admin: { 'x-api-key': 'admin-key' }, public: { 'x-api-key': 'public-key' } });
+    } finally {
+        apiKeys.setKeys(null);
+    }
+}
+
+async function testKeyScoping() {
+    const getSheetsService = localSheetsService();
+    const spreadsheetId = `scope-test-${process.pid}`;
+
+    await withTestKeys(async headers => {
+        for (const sheetName of ['Public', 'Secret']) {
+            await callRoute('POST', '/sheets', { headers: headers.admin, body: { spreadsheetId, sheetName, headers: ['Name'] } }, getSheetsService);
+            await callRoute('POST', '/entries', { headers: headers.admin, body: { spreadsheetId, sheetName, data: [`${sheetName} row`] } }, getSheetsService);
+        }
+
+        const expect = async (description, status, method, path, request) => {
+            const response = await callRoute(method, path, { headers: headers.public, ...request }, getSheetsService);
+            if (response.status !== status) {
+                throw new Error(`${description}: expected ${status}, got ${response.status} ${JSON.stringify(response.body)}`);
+            }
+        };
+
+        await expect('Reading its own sheet', 200, 'GET', '/entries', { query: { spreadsheetId, sheetName: 'Public' } });
+        await expect('Reading another sheet', 403, 'GET', '/entries', { query: { spreadsheetId, sheetName: 'Secret' } });
+        await expect('Reading another sheet through a range', 403, 'GET', '/entries', {
+            query: { spreadsheetId, sheetName: 'Public', range: 'Secret!A1:B5' }
+        });
+        await expect('Reading another quoted sheet through a range', 403, 'GET', '/entries', {
+            query: { spreadsheetId, sheetName: 'Public', range: "'Secret'!A:A" }
+        });
+        await expect('Writing another sheet through a range', 403, 'POST', '/entries', {
+            body: { spreadsheetId, sheetName: 'Public', data: ['leak'], options: { range: 'Secret!A1' } }
+        });
+        await expect('Writing its own sheet through a range', 200, 'POST', '/entries', {
+            body: { spreadsheetId, sheetName: 'Public', data: ['ok'], options: { range: 'Public!A1' } }
+        });
+    });
+
+    console.log('✅ Sheets outside the key\'s scope refused, ranges included\n');
+}
+
+// Runs with a bucket store of its own, so earlier tests' requests don't count
+async function testRateLimits() {
+    const rateLimit = require('./rateLimit');
+    const getSheetsService = localSheetsService();
+    const spreadsheetId = `limit-test-${process.pid}`;
+    const query = { spreadsheetId, sheetName: 'Public' };
+
+    rateLimit.setStore(rateLimit.STORES.memory());
+    try {
+        await withTestKeys(async headers => {
+            await callRoute('POST', '/sheets', { headers: headers.admin, body: { spreadsheetId, sheetName: 'Public', headers: ['Name'] } }, getSheetsService);
+
+            // The read limit, per key and route
+            const { limit, burst } = rateLimit.loadLimits().read;
+            let response;
+            for (let i = 0; i <= limit + burst; i++) {
+                response = await callRoute('GET', '/entries', { headers: headers.public, query }, getSheetsService);
+            }
+            if (response.status !== 429 || !(Number(response.headers['Retry-After']) > 0)) {
+                throw new Error(`Request ${limit + burst + 1} should get 429 with Retry-After, got ${response.status}`);
+            }
+
+            // A valid key refused for its scope isn't counted as a guess
+            const ip = '198.51.100.7';
+            const auth = rateLimit.loadLimits().auth;
+            for (let i = 0; i <= auth.limit + auth.burst; i++) {
+                response = await callRoute('GET', '/entries', { headers: headers.public, ip, query: { spreadsheetId, sheetName: 'Secret' } }, getSheetsService);
+            }
+            if (response.status !== 403) {
+                throw new Error(`Scope refusals shouldn't use up the IP's attempts, got ${response.status}`);
+            }
+
+            // Unknown keys are, and then even a valid key from that IP is turned away
+            for (let i = 0; i < auth.limit + auth.burst; i++) {
+                response = await callRoute('GET', '/entries', { headers: { 'x-api-key': `guess-${i}` }, ip, query }, getSheetsService);
+                if (response.status !== 401) {
+                    throw new Error(`Guess ${i + 1} should get 401, got ${response.status}`);
+                }
+            }
+            response = await callRoute('GET', '/entries', { headers: headers.admin, ip, query }, getSheetsService);
+            if (response.status !== 429 || !(Number(response.headers['Retry-After']) > 0)) {
+                throw new Error(`A request after ${auth.limit + auth.burst} unknown keys should get 429 with Retry-After, got ${response.status}`);
+            }
+        });
+    } finally {
+        rateLimit.setStore(null);
+    }
+
+    console.log('✅ 429 with Retry-After over the limit and after too many unknown keys\n');
+}
+
+// A local service that counts its values.append calls, fails those writing a
+// row that holds `failOn` and holds them back while `appendGate` is pending
+function flakyAppendService() {
+    const GoogleSheetsService = require('./googleSheetsService');
+    const { getLocalSheets } = require('./localSheets');
+    const local = getLocalSheets('memory');
+
+    const service = new GoogleSheetsService();
+    service.clientEmail = 'local memory backend';
+    service.appendCalls = 0;
+    service.failOn = null;
+    service.sheets = {
+        ...local,
+        spreadsheets: {
+            ...local.spreadsheets,
+            values: {
+                ...local.spreadsheets.values,
+                append: async request => {
+                    service.appendCalls++;
+                    await service.appendGate;
+                    if (service.failOn && request.resource.values.some(row => row.includes(service.failOn))) {
+                        throw Object.assign(new Error('Invalid value'), {
+                            code: 400,
+                            response: { status: 400, data: { error: { code: 400, message: 'Invalid value', status: 'INVALID_ARGUMENT' } } }
+                        });
+                    }
+                    return local.spreadsheets.values.append(request);
+                }
+            }
+        }
+    };
+    return service;
+}
+
+// Signs with a secret of its own and keeps deliveries in a fresh memory store
+async function testShopifyWebhook() {
+    const crypto = require('crypto');
+    const shopifyWebhook = require('./shopifyWebhook');
+    const audit = require('./audit');
+
+    const mapping = shopifyWebhook.loadMapping();
+    const spreadsheetId = mapping.spreadsheetId || process.env.GOOGLE_SHEET_ID || SPREADSHEET_ID;
+    const service = flakyAppendService();
+    const getSheetsService = async () => service;
+    const savedSecret = process.env.SHOPIFY_WEBHOOK_SECRET;
+
+    process.env.SHOPIFY_WEBHOOK_SECRET = 'shopify-test-secret';
+    shopifyWebhook.setStore(shopifyWebhook.STORES.memory());
+    audit.setSink(null);
+    try {
+        await service.ensureSheet(spreadsheetId, mapping.sheetName, { headers: mapping.columns.map(column => column.header) });
+        service.appendCalls = 0;
+
+        const order = {
+            id: Date.now(),
+            name: `#T${Date.now()}`,
+            line_items: [{ title: 'Mug' }, { title: 'Tea' }, { title: 'Spoon' }]
+        };
+        const rawBody = JSON.stringify(order);
+        const signature = crypto.createHmac('sha256', 'shopify-test-secret').update(rawBody).digest('base64');
+        const deliveryId = `delivery-${order.id}`;
+        const send = headers => callRoute('POST', '/shopify-order', { body: order, rawBody, headers }, getSheetsService);
+        const orderRows = async () => {
+            const { data } = await service.getRows(spreadsheetId, mapping.sheetName);
+            return data.filter(row => row.includes(order.name)).length;
+        };
+
+        const expect = (description, response, status) => {
+            if (response.status !== status) {
+                throw new Error(`${description}: expected ${status}, got ${response.status} ${JSON.stringify(response.body)}`);
+            }
+        };
+
+        expect('Missing signature', await send({ 'x-shopify-webhook-id': deliveryId }), 401);
+        expect('Bad signature', await send({ 'x-shopify-hmac-sha256': crypto.createHmac('sha256', 'wrong').update(rawBody).digest('base64'), 'x-shopify-webhook-id': deliveryId }), 401);
+
+        const headers = { 'x-shopify-hmac-sha256': signature, 'x-shopify-webhook-id': deliveryId };
+
+        // Failing on the second line item writes none of the order's rows, so
+        // Shopify's retry writes each of them once
+        service.failOn = 'Tea';
+        const failed = await send(headers);
+        service.failOn = null;
+        if (failed.status < 400 || await orderRows() !== 0) {
+            throw new Error(`A failed append should fail the delivery and write nothing, got ${failed.status}`);
+        }
+
+        expect('Signed delivery', await send(headers), 200);
+        if (await orderRows() !== 3 || service.appendCalls !== 2) {
+            throw new Error(`Expected the order's 3 rows in one append each time, got ${await orderRows()} rows in ${service.appendCalls} appends`);
+        }
+
+        const replayed = await send(headers);
+        expect('Replayed delivery', replayed, 200);
+        if (!replayed.body.duplicate || await orderRows() !== 3) {
+            throw new Error(`A replayed delivery should be a duplicate and write nothing: ${JSON.stringify(replayed.body)}`);
+        }
+    } finally {
+        shopifyWebhook.setStore(null);
+        if (savedSecret === undefined) {
+            delete process.env.SHOPIFY_WEBHOOK_SECRET;
+        } else {
+            process.env.SHOPIFY_WEBHOOK_SECRET = savedSecret;
+        }
+    }
+
+    console.log('✅ Unsigned and badly signed orders refused, a signed order written whole, once\n');
+}
+
+// A hook of its own, signed GitHub-style: hex HMAC-SHA256 with a "sha256=" prefix
+async function testSignedWebhook() {
+    const crypto = require('crypto');
+    const webhooks = require('./webhooks');
+    const audit = require('./audit');
+
+    const spreadsheetId = `hook-test-${process.pid}`;
+    const service = flakyAppendService();
+    const getSheetsService = async () => service;
+
+    webhooks.setHooks([{
+        id: 'signed-test',
+        spreadsheetId,
+        sheetName: 'Events',
+        signature: { scheme: 'hmac-sha256', header: 'X-Hub-Signature-256', prefix: 'sha256=', secret: 'hook-test-secret' },
+        explode: '$.items',
+        columns: [{ header: 'Event', path: '$.event' }, { header: 'Item', path: '$item.name' }]
+    }]);
+    audit.setSink(null);
+    try {
+        await service.ensureSheet(spreadsheetId, 'Events');
+        service.appendCalls = 0;
+
+        const payload = { event: `event-${Date.now()}`, items: [{ name: 'one' }, { name: 'two' }, { name: 'three' }] };
+        const rawBody = JSON.stringify(payload);
+        const sign = secret => `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+        const send = headers => callRoute('POST', '/hooks/:hookId', { params: { hookId: 'signed-test' }, body: payload, rawBody, headers }, getSheetsService);
+        const eventRows = async () => {
+            const { data } = await service.getRows(spreadsheetId, 'Events');
+            return data.filter(row => row[0] === payload.event).length;
+        };
+
+        const expect = (description, response, status) => {
+            if (response.status !== status) {
+                throw new Error(`${description}: expected ${status}, got ${response.status} ${JSON.stringify(response.body)}`);
+            }
+        };
+
+        expect('Missing signature', await send({}), 401);
+        expect('Bad signature', await send({ 'x-hub-signature-256': sign('wrong') }), 401);
+        expect('Signature without its prefix', await send({ 'x-hub-signature-256': sign('hook-test-secret').slice('sha256='.length) }), 401);
+
+        // Failing on the second item writes none of the event's rows, so the
+        // sender's retry writes each of them once
+        service.failOn = 'two';
+        const failed = await send({ 'x-hub-signature-256': sign('hook-test-secret') });
+        service.failOn = null;
+        if (failed.status < 400 || await eventRows() !== 0) {
+            throw new Error(`A failed append should fail the delivery and write nothing, got ${failed.status}`);
+        }
+
+        expect('Signed delivery', await send({ 'x-hub-signature-256': sign('hook-test-secret') }), 200);
+        if (await eventRows() !== 3 || service.appendCalls !== 2) {
+            throw new Error(`Expected the event's 3 rows in one append each time, got ${await eventRows()} rows in ${service.appendCalls} appends`);
+        }
+    } finally {
+        webhooks.setHooks(null);
+    }
+
+    console.log('✅ Unsigned and badly signed events refused, a signed event written whole\n');
+}
+
+// The first request is held inside its append, so a retry arrives while it is
+// still being processed
+async function testIdempotency() {
+    const idempotency = require('./idempotency');
+    const service = flakyAppendService();
+    const getSheetsService = async () => service;
+    const spreadsheetId = `idempotency-test-${process.pid}`;
+
+    idempotency.setStore(idempotency.STORES.memory());
+    try {
+        await withTestKeys(async keys => {
+            await service.ensureSheet(spreadsheetId, 'Orders');
+            service.appendCalls = 0;
+
+            const headers = { ...keys.admin, 'idempotency-key': `order-${Date.now()}` };
+            const body = { spreadsheetId, sheetName: 'Orders', data: ['Widget', 2] };
+            const send = requestBody => callRoute('POST', '/entries', { headers, body: requestBody }, getSheetsService);
+
+            let release;
+            service.appendGate = new Promise(resolve => {
+                release = resolve;
+            });
+            const first = send(body);
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            const inFlight = await send(body);
+            if (inFlight.status !== 409 || inFlight.body.code !== 'IDEMPOTENCY_KEY_IN_USE') {
+                throw new Error(`A retry during the first request should get 409, got ${inFlight.status}`);
+            }
+
+            release();
+            const original = await first;
+            const replayed = await send(body);
+            if (replayed.status !== original.status || replayed.headers['Idempotent-Replayed'] !== 'true' ||
+                JSON.stringify(replayed.body) !== JSON.stringify(original.body) || service.appendCalls !== 1) {
+                throw new Error(`A retry should replay the first response and write nothing: ${replayed.status}, ${service.appendCalls} appends`);
+            }
+
+            const reused = await send({ ...body, data: ['Gadget', 1] });
+            if (reused.status !== 422 || reused.body.code !== 'IDEMPOTENCY_KEY_REUSED' || service.appendCalls !== 1) {
+                throw new Error(`Reusing the key for another request should get 422, got ${reused.status}`);
+            }
+        });
+    } finally {
+        idempotency.setStore(null);
+    }
+
+    console.log('✅ 409 while the first request runs, then its response replayed; 422 for a different request\n');
+}
+
+// Both restores read the archive before either removes its row, so the second
+// must not delete by the row number it read
+async function testConcurrentRestores() {
+    const getSheetsService = localSheetsService();
+    const service = await getSheetsService();
+    const spreadsheetId = `restore-test-${process.pid}`;
+    const savedSoftDelete = process.env.SOFT_DELETE;
+
+    process.env.SOFT_DELETE = 'true';
+    try {
+        await withTestKeys(async keys => {
+            const headers = keys.admin;
+            const target = { spreadsheetId, sheetName: 'Items' };
+            await service.ensureSheet(spreadsheetId, 'Items', { headers: ['Name'] });
+            await callRoute('POST', '/entries/batch', { headers, body: { ...target, rows: [['first'], ['second'], ['third']] } }, getSheetsService);
+
+            const deleted = await callRoute('DELETE', '/entries', { headers, body: { ...target, rowNumbers: [2, 3, 4] } }, getSheetsService);
+            const [first, second, third] = deleted.body.archived.map(entry => entry.id);
+
+            const restores = await Promise.all([first, second].map(id =>
+                callRoute('POST', '/entries/restore', { headers, body: { ...target, ids: [id] } }, getSheetsService)));
+            if (restores.some(response => response.status !== 200)) {
+                throw new Error(`Both restores should succeed: ${restores.map(response => response.status).join(', ')}`);
+            }
+
+            const { values } = await service.getSheetData(spreadsheetId, require('./archive').archiveSheetName());
+            const left = values.slice(1).map(row => row[0]);
+            if (JSON.stringify(left) !== JSON.stringify([third])) {
+                throw new Error(`Only the third row should be left in the archive, found ${left.length}: ${JSON.stringify(values.slice(1).map(row => row[5]))}`);
+            }
+        });
+    } finally {
+        if (savedSoftDelete === undefined) {
+            delete process.env.SOFT_DELETE;
+        } else {
+            process.env.SOFT_DELETE = savedSoftDelete;
+        }
+    }
+
+    console.log('✅ Each restore removed only its own archived row\n');
+}
+
+// Stops before Google: the code exchange and the email_verified check need a
+// real consent, so only the start link and the state cookie are checked here
+async function testOAuthStart() {
+    const oauth = require('./oauth');
+    const testEnv = {
+        GOOGLE_OAUTH_CLIENT_ID: 'test-client.apps.googleusercontent.com',
+        GOOGLE_OAUTH_CLIENT_SECRET: 'test-secret',
+        GOOGLE_OAUTH_REDIRECT_URI: 'https://api.example.com/oauth',
+        OAUTH_TOKEN_KEY: 'test-passphrase'
+    };
+    const getSheetsService = localSheetsService();
+    const added = oauth.isConfigured() ? {} : testEnv;
+    Object.assign(process.env, added);
+
+    try {
+        await withTestKeys(async headers => {
+            const denied = await callRoute('POST', '/oauth/start', { headers: headers.public }, getSheetsService);
+            if (denied.status !== 403) {
+                throw new Error(`A non-admin key should get 403 for a start link, got ${denied.status}`);
+            }
+
+            const created = await callRoute('POST', '/oauth/start', { headers: headers.admin, body: { email: 'user@example.com' } }, getSheetsService);
+            if (created.status !== 200) {
+                throw new Error(`An admin key should get a start link, got ${created.status} ${JSON.stringify(created.body)}`);
+            }
+            const link = new URL(created.body.url).searchParams.get('link');
+
+            const forged = await callRoute('GET', '/oauth/start', { query: { link: `${link.split('.')[0]}.forged` } });
+            if (forged.status !== 401) {
+                throw new Error(`GET /oauth/start with a forged link should get 401, got ${forged.status}`);
+            }
+
+            const started = await callRoute('GET', '/oauth/start', { query: { link } });
+            const cookie = started.headers && started.headers['Set-Cookie'];
+            if (started.status !== 302 || !/^oauth_state=[^;]+;.*HttpOnly/.test(cookie || '')) {
+                throw new Error(`GET /oauth/start should redirect and set the state cookie, got ${started.status} ${cookie}`);
+            }
+            const state = new URL(started.headers.Location).searchParams.get('state');
+            const nonce = cookie.split(';')[0].slice('oauth_state='.length);
+
+            const expectRefused = async (description, request) => {
+                const response = await callRoute('GET', '/oauth', { query: { code: 'test-code', state }, ...request });
+                if (response.status !== 400) {
+                    throw new Error(`${description}: expected 400, got ${response.status} ${JSON.stringify(response.body)}`);
+                }
+            };
+            await expectRefused('A callback without the cookie', {});
+            await expectRefused('A callback with another browser\'s cookie', { headers: { cookie: `oauth_state=${nonce.slice(1)}x` } });
+            await expectRefused('A start link used as the state', { query: { code: 'test-code', state: link }, headers: { cookie: `oauth_state=${nonce}` } });
+        });
+    } finally {
+        Object.keys(added).forEach(name => delete process.env[name]);
+    }
+
+    console.log('✅ Start links need an admin key, and the callback needs the browser that started\n');
+}
+
 // Configuration validation and setup helper
 function checkConfiguration() {
     console.log('🔍 Configuration Check:\n');
@@ -162,7 +875,7 @@ function checkConfiguration() {
 
     // Check if credentials file exists
     const fs = require('fs');
-    if (!fs.existsSync('credentials.json')) {
+    if (!isLocalBackend && !fs.existsSync('credentials.json')) {
         console.log('\n❌ credentials.json file not found!');
         console.log('\n📋 Google Service Account Setup:');
         console.log('1. Go to Google Cloud Console');
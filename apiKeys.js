@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const { loadJsonConfig, isDevMode } = require('./config');
+const { HttpError } = require('./errors');
+
+// Actions a key can be granted. 'admin' implies all of the others.
+const ACTIONS = ['read', 'append', 'update', 'delete', 'admin'];
+
+class ApiKeyError extends HttpError {
+    constructor(statusCode, message) {
+        super(statusCode, message);
+        this.name = 'ApiKeyError';
+    }
+}
+
+let configuredKeys = null;
+
+// Keys come from API_KEYS (inline JSON) or API_KEYS_FILE (default: api-keys.json).
+// Only SHA-256 hashes of the keys are stored, never the keys themselves.
+function loadKeys() {
+    if (!configuredKeys) {
+        const config = loadJsonConfig('API_KEYS', 'API_KEYS_FILE', 'api-keys.json');
+        configuredKeys = (config && config.keys) || [];
+
+        configuredKeys.forEach(entry => {
+            const unknown = (entry.actions || []).filter(action => !ACTIONS.includes(action));
+            if (unknown.length > 0) {
+                console.warn(`API key '${entry.id}' has unknown actions: ${unknown.join(', ')}`);
+            }
+        });
+    }
+    return configuredKeys;
+}
+
+// Use these key entries instead of the configured ones; null loads the configuration again
+function setKeys(keys) {
+    configuredKeys = keys;
+}
+
+function hashKey(apiKey) {
+    return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+function generateKey() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+// Accept either an X-API-Key header or an Authorization: Bearer token.
+// Both restify and Netlify hand us lower-cased header names.
+function extractApiKey(headers = {}) {
+    if (headers['x-api-key']) {
+        return headers['x-api-key'].trim();
+    }
+
+    const match = (headers.authorization || '').match(/^Bearer\s+(.+)$/i);
+    return match ? match[1].trim() : null;
+}
+
+function findKey(apiKey) {
+    const hash = Buffer.from(hashKey(apiKey), 'hex');
+
+    return loadKeys().find(entry => {
+        const stored = Buffer.from(entry.hash || '', 'hex');
+        return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+    });
+}
+
+function inScope(allowed, value) {
+    return allowed.includes('*') || allowed.includes(value);
+}
+
+// Whether `key` (as returned by authorize) may see the sheet; null means auth is off
+function canAccessSheet(key, sheetName) {
+    return !key || inScope(key.sheets || ['*'], sheetName);
+}
+
+function canAccessSpreadsheet(key, spreadsheetId) {
+    return !key || inScope(key.spreadsheets || [], spreadsheetId);
+}
+
+function isAuthEnabled() {
+    return loadKeys().length > 0 || !isDevMode();
+}
+
+// Authenticate the request and check that the key may perform `action` on the
+// target spreadsheet/sheet. Throws ApiKeyError (401/403) or returns the key entry.
+// With no keys configured in dev mode, auth is skipped and null is returned.
+function authorize(headers, { action, spreadsheetId, sheetName, account, serviceAccount }) {
+    if (!isAuthEnabled()) {
+        return null;
+    }
+
+    const apiKey = extractApiKey(headers);
+    if (!apiKey) {
+        throw new ApiKeyError(401, 'Missing API key. Send it in the X-API-Key header or as a Bearer token.');
+    }
+
+    const key = findKey(apiKey);
+    if (!key) {
+        throw new ApiKeyError(401, 'Invalid API key');
+    }
+
+    const actions = key.actions || [];
+    if (!actions.includes('admin') && !actions.includes(action)) {
+        throw new ApiKeyError(403, `API key '${key.id}' is not allowed to ${action}`);
+    }
+
+    if (spreadsheetId && !inScope(key.spreadsheets || [], spreadsheetId)) {
+        throw new ApiKeyError(403, `API key '${key.id}' has no access to spreadsheet ${spreadsheetId}`);
+    }
+
+    if (sheetName && !inScope(key.sheets || ['*'], sheetName)) {
+        throw new ApiKeyError(403, `API key '${key.id}' has no access to sheet '${sheetName}'`);
+    }
+
+    if (serviceAccount && !inScope(key.serviceAccounts || ['*'], serviceAccount)) {
+        throw new ApiKeyError(403, `API key '${key.id}' may not use service account '${serviceAccount}'`);
+    }
+
+    // Acting as a linked Google user (oauth.js) must be granted per account
+    if (account && !inScope(key.accounts || [], String(account).toLowerCase())) {
+        throw new ApiKeyError(403, `API key '${key.id}' may not act as Google account ${account}`);
+    }
+
+    return key;
+}
+
+// CLI helper: `node apiKeys.js generate <id>` prints a new key and its config entry
+if (require.main === module) {
+    const [command, id = 'client'] = process.argv.slice(2);
+
+    if (command !== 'generate') {
+        console.log('Usage: node apiKeys.js generate <key-id>');
+        process.exit(1);
+    }
+
+    const apiKey = generateKey();
+    console.log('API key (give this to the client, it is not stored anywhere):');
+    console.log(`  ${apiKey}\n`);
+    console.log('Add this entry to the "keys" array in api-keys.json or API_KEYS:');
+    console.log(JSON.stringify({
+        id,
+        hash: hashKey(apiKey),
+        spreadsheets: ['*'],
+        sheets: ['*'],
+        actions: ['read', 'append']
+    }, null, 2));
+}
+
+module.exports = { ACTIONS, ApiKeyError, authorize, canAccessSheet, canAccessSpreadsheet, extractApiKey, hashKey, generateKey, isAuthEnabled, setKeys };
@@ -0,0 +1,231 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+
+// Soft delete for DELETE /entries. With SOFT_DELETE=true, rows are copied to an
+// archive tab (ARCHIVE_SHEET, default: Archive) in the same spreadsheet before
+// they are deleted, and POST /entries/restore puts them back. Each archived row
+// is the deleted row's values behind five columns of metadata:
+//
+//   Archive ID | Deleted At | Deleted By | Sheet | Row | <the row's values...>
+//
+// where Deleted By is the API key ID or, without one, the caller's IP and Row is
+// the row number it was deleted from. Archived rows older than
+// ARCHIVE_RETENTION_DAYS (default: kept forever) are purged whenever rows are
+// archived or restored.
+//
+// Values are archived as entered, not as displayed, so a restore puts back the
+// same cells: formulas stay formulas (kept as text in the archive), numbers keep
+// their full precision and text stays text, even "001" or "=x". Archived text
+// that starts with = or ' is written with a leading ', to tell it from a formula.
+
+const METADATA = ['Archive ID', 'Deleted At', 'Deleted By', 'Sheet', 'Row'];
+
+// The tail of each spreadsheet's queue of archive changes (see serialized)
+const queues = new Map();
+
+function isEnabled() {
+    return process.env.SOFT_DELETE === 'true';
+}
+
+function archiveSheetName() {
+    return process.env.ARCHIVE_SHEET || 'Archive';
+}
+
+function retentionDays() {
+    return Math.max(0, parseInt(process.env.ARCHIVE_RETENTION_DAYS) || 0);
+}
+
+// A deleted cell (its userEnteredValue) as the archive stores it, written RAW
+function toArchiveCell(value) {
+    if (value.formulaValue !== undefined) {
+        return value.formulaValue;
+    }
+    if (value.stringValue !== undefined) {
+        return /^[=']/.test(value.stringValue) ? `'${value.stringValue}` : value.stringValue;
+    }
+    return value.numberValue ?? value.boolValue ?? '';
+}
+
+// An archived cell as it has to be entered (USER_ENTERED) to come back the same:
+// other text gets a leading ' so it isn't read as a number, date or formula
+function fromArchiveCell(value) {
+    if (typeof value !== 'string' || value === '' || /^[=']/.test(value)) {
+        return value;
+    }
+    return `'${value}`;
+}
+
+// The archive's rows with their sheet row numbers, or [] when there is no archive yet
+async function readArchive(sheetsService, spreadsheetId) {
+    const created = await sheetsService.ensureSheet(spreadsheetId, archiveSheetName(), {
+        headers: METADATA,
+        frozenRows: 1,
+        headerStyle: { bold: true }
+    });
+    return created ? [] : readArchiveRows(sheetsService, spreadsheetId);
+}
+
+async function readArchiveRows(sheetsService, spreadsheetId) {
+    // The whole sheet, however many columns the archived rows have, unformatted
+    // so numbers come back as they were stored
+    const { values } = await sheetsService.getSheetData(spreadsheetId, archiveSheetName(), {
+        valueRenderOption: 'UNFORMATTED_VALUE'
+    });
+    return values.slice(1).map((row, i) => ({
+        row: i + 2,
+        id: row[0],
+        deletedAt: row[1],
+        deletedBy: row[2],
+        sheetName: row[3],
+        originalRow: Number(row[4]),
+        values: row.slice(METADATA.length)
+    }));
+}
+
+// Archive IDs past the retention period
+function expiredIds(archived) {
+    const days = retentionDays();
+    if (days === 0) {
+        return [];
+    }
+
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    return archived.filter(entry => Date.parse(entry.deletedAt) < cutoff).map(entry => entry.id);
+}
+
+// Delete archived rows by ID. Their row numbers are looked up again right
+// before the delete, since a concurrent restore or purge may have moved them
+// since the request read the archive.
+async function removeFromArchive(sheetsService, spreadsheetId, ids) {
+    if (ids.length === 0) {
+        return;
+    }
+
+    const wanted = new Set(ids);
+    const rowNumbers = (await readArchiveRows(sheetsService, spreadsheetId))
+        .filter(entry => wanted.has(entry.id))
+        .map(entry => entry.row);
+    if (rowNumbers.length > 0) {
+        await sheetsService.deleteRows(spreadsheetId, archiveSheetName(), rowNumbers);
+    }
+}
+
+// Run archive changes to a spreadsheet one at a time in this process, so one
+// can't delete archived rows while another is between reading and deleting
+// them. Other processes are covered only by removeFromArchive's lookup.
+function serialized(spreadsheetId, task) {
+    const run = (queues.get(spreadsheetId) || Promise.resolve()).then(task);
+    const tail = run.catch(() => {});
+    queues.set(spreadsheetId, tail);
+    tail.then(() => {
+        if (queues.get(spreadsheetId) === tail) {
+            queues.delete(spreadsheetId);
+        }
+    });
+    return run;
+}
+
+// Copy the rows to the archive, then delete them from the sheet. `rows` are
+// { row, cells } read just before, where cells are the row's userEnteredValues
+// (getRowValues); empty rows are deleted without archiving.
+// If the delete fails the copies are removed again, so a row is never in both.
+function softDeleteRows(sheetsService, options) {
+    return serialized(options.spreadsheetId, () => archiveAndDelete(sheetsService, options));
+}
+
+async function archiveAndDelete(sheetsService, { spreadsheetId, sheetName, rows, deletedBy }) {
+    const archived = await readArchive(sheetsService, spreadsheetId);
+    const deletedAt = new Date().toISOString();
+
+    const copies = rows
+        .filter(({ cells }) => cells.length > 0)
+        .map(({ row, cells }) => ({ id: crypto.randomUUID(), row, values: cells.map(toArchiveCell) }));
+
+    let written = [];
+    if (copies.length > 0) {
+        // RAW, so formulas are stored as text and nothing is reinterpreted
+        const result = await sheetsService.appendBatch(spreadsheetId, archiveSheetName(), copies.map(copy => [
+            copy.id, deletedAt, deletedBy || '', sheetName, copy.row, ...copy.values
+        ]), { valueInputOption: 'RAW' });
+
+        written = result.results.filter(entry => entry.success).map(entry => copies[entry.index].id);
+        if (result.failed > 0) {
+            await removeFromArchive(sheetsService, spreadsheetId, written);
+            throw new HttpError(503, 'Could not archive the rows, so none were deleted', { results: result.results });
+        }
+    }
+
+    let result;
+    try {
+        result = await sheetsService.deleteRows(spreadsheetId, sheetName, rows.map(({ row }) => row));
+    } catch (error) {
+        await removeFromArchive(sheetsService, spreadsheetId, written)
+            .catch(cleanupError => console.error('Failed to remove archived copies after a failed delete:', cleanupError));
+        throw error;
+    }
+
+    // The rows are deleted by now, so failing to purge mustn't fail the request
+    try {
+        await removeFromArchive(sheetsService, spreadsheetId, expiredIds(archived));
+    } catch (error) {
+        console.error('Failed to purge archived rows:', error);
+    }
+
+    return {
+        ...result,
+        archiveSheet: archiveSheetName(),
+        archived: copies.map(copy => ({ id: copy.id, row: copy.row }))
+    };
+}
+
+// Append archived rows back to the sheet they were deleted from, then take
+// them out of the archive. Rows go to the end of the sheet, since the rows
+// below their old position have moved up since. If any ID isn't in the archive
+// for this sheet, nothing is restored.
+function restoreRows(sheetsService, options) {
+    return serialized(options.spreadsheetId, () => restoreFromArchive(sheetsService, options));
+}
+
+async function restoreFromArchive(sheetsService, { spreadsheetId, sheetName, ids }) {
+    const archived = await readArchive(sheetsService, spreadsheetId);
+    const uniqueIds = [...new Set(ids)];
+    const entries = uniqueIds.map(id => archived.find(entry => entry.id === id && entry.sheetName === sheetName));
+
+    const missing = uniqueIds.filter((id, i) => !entries[i]);
+    if (missing.length > 0) {
+        throw new HttpError(404, `No archived row from sheet '${sheetName}' with ID ${missing.join(', ')}`, { missing });
+    }
+
+    const result = await sheetsService.appendBatch(spreadsheetId, sheetName, entries.map(entry => entry.values.map(fromArchiveCell)), {
+        atomic: true,
+        valueInputOption: 'USER_ENTERED'
+    });
+    if (result.written === 0) {
+        throw new HttpError(422, 'The archived rows could not be restored', { results: result.results });
+    }
+
+    // A chunk Google rejected stays in the archive, to be restored again
+    const restored = entries
+        .map((entry, i) => ({ entry, outcome: result.results[i] }))
+        .filter(({ outcome }) => outcome.success);
+
+    // Expired rows go in the same call
+    await removeFromArchive(sheetsService, spreadsheetId, [
+        ...new Set([...restored.map(({ entry }) => entry.id), ...expiredIds(archived)])
+    ]);
+
+    return {
+        total: entries.length,
+        restoredCount: restored.length,
+        restored: restored.map(({ entry, outcome }) => ({
+            id: entry.id,
+            originalRow: entry.originalRow,
+            row: outcome.row,
+            range: outcome.range,
+            values: entry.values
+        })),
+        failed: result.results.filter(outcome => !outcome.success)
+    };
+}
+
+module.exports = { isEnabled, archiveSheetName, softDeleteRows, restoreRows };
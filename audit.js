@@ -0,0 +1,247 @@
+const fs = require('fs');
+const path = require('path');
+const { googleErrorCode } = require('./googleErrors');
+
+// Audit log of every write made through the API: appends, updates, deletes and
+// sheet changes. Handlers describe what they changed by returning an `audit`
+// field (routes.js strips it from the response); this module adds who and when
+// and stores the record:
+//
+// { timestamp, operation, route, apiKeyId, ip, spreadsheetId, sheetName, range, before, after }
+//
+// `before` and `after` are the values the write replaced and wrote, when known.
+//
+// AUDIT_SINK picks where records go: 'file' (default; one JSON record per line in
+// AUDIT_FILE, default: audit.jsonl), 'sheet' (a tab named AUDIT_SHEET, default:
+// Audit Log, in AUDIT_SPREADSHEET_ID or else GOOGLE_SHEET_ID, created on first
+// use) or 'off'. On Netlify, where files don't outlive an invocation, the default
+// is 'sheet', or 'off' when neither spreadsheet ID is set. setSink() plugs in
+// anything else. The audit tab is out of bounds to every API route (see
+// isAuditSheet), so records can only be read through GET /audit.
+//
+// A sink is { write(record, getSheetsService), read(getSheetsService) }, either
+// of which may return a promise; read() resolves to every record, oldest first.
+// A sink that writes to a sheet also names it: { spreadsheetId, sheetName }.
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Google rejects cells longer than this
+const MAX_CELL_LENGTH = 50000;
+
+const COLUMNS = ['Timestamp', 'Operation', 'Route', 'API Key', 'IP', 'Spreadsheet', 'Sheet', 'Range', 'Before', 'After'];
+const FIELDS = ['timestamp', 'operation', 'route', 'apiKeyId', 'ip', 'spreadsheetId', 'sheetName', 'range', 'before', 'after'];
+
+function createFileSink(file) {
+    const filePath = path.resolve(file);
+
+    return {
+        // Appending one line at a time keeps concurrent writers from clobbering each other
+        write: record => {
+            fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`);
+        },
+        read: () => {
+            if (!fs.existsSync(filePath)) {
+                return [];
+            }
+            return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    return [];
+                }
+            });
+        }
+    };
+}
+
+function toCell(value) {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > MAX_CELL_LENGTH ? `${text.slice(0, MAX_CELL_LENGTH - 1)}…` : text;
+}
+
+// Before and After hold JSON; one that was cut short comes back as the raw text
+function fromCell(field, value) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    if (field !== 'before' && field !== 'after') {
+        return value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+function createSheetSink(spreadsheetId, sheetName) {
+    let ready = null;
+
+    return {
+        spreadsheetId,
+        sheetName,
+        write: async (record, getSheetsService) => {
+            const service = await getSheetsService({ spreadsheetId });
+
+            // Create the tab with a frozen, bold header row the first time
+            if (!ready) {
+                ready = service.ensureSheet(spreadsheetId, sheetName, {
+                    headers: COLUMNS,
+                    frozenRows: 1,
+                    headerStyle: { bold: true },
+                    protectedRanges: [{ description: 'Written by the API audit log', warningOnly: true }]
+                }).catch(error => {
+                    ready = null;
+                    throw error;
+                });
+            }
+            await ready;
+
+            // RAW, so values that look like formulas are stored as text
+            await service.appendRow(spreadsheetId, sheetName, FIELDS.map(field => toCell(record[field])), {
+                valueInputOption: 'RAW'
+            });
+        },
+        read: async getSheetsService => {
+            const service = await getSheetsService({ spreadsheetId });
+            try {
+                const { data } = await service.getRows(spreadsheetId, sheetName);
+                return data.map(row => Object.fromEntries(FIELDS.map((field, i) => [field, fromCell(field, row[i])])));
+            } catch (error) {
+                // Nothing has been audited yet
+                if (googleErrorCode(error) === 'SHEET_NOT_FOUND') {
+                    return [];
+                }
+                throw error;
+            }
+        }
+    };
+}
+
+const SINKS = {
+    file: () => createFileSink(process.env.AUDIT_FILE || 'audit.jsonl'),
+    sheet: () => createSheetSink(
+        process.env.AUDIT_SPREADSHEET_ID || process.env.GOOGLE_SHEET_ID,
+        process.env.AUDIT_SHEET || 'Audit Log'
+    ),
+    off: () => null
+};
+
+let sink;
+let defaultSink = 'file';
+
+// Check AUDIT_SINK at startup; returns the sink's name. A default of 'sheet'
+// with no spreadsheet to write to turns auditing off, with a warning.
+function loadAudit() {
+    const name = process.env.AUDIT_SINK || defaultSink;
+    if (!SINKS[name]) {
+        throw new Error(`Unknown AUDIT_SINK '${name}'. Use one of: ${Object.keys(SINKS).join(', ')}`);
+    }
+    if (name === 'sheet' && !process.env.AUDIT_SPREADSHEET_ID && !process.env.GOOGLE_SHEET_ID) {
+        if (process.env.AUDIT_SINK) {
+            throw new Error('AUDIT_SINK=sheet needs AUDIT_SPREADSHEET_ID or GOOGLE_SHEET_ID');
+        }
+        console.warn('Audit log is off: set AUDIT_SPREADSHEET_ID or GOOGLE_SHEET_ID to audit to a sheet');
+        return 'off';
+    }
+    return name;
+}
+
+// index.js refuses to start with bad settings; where nothing checks them first
+// (Netlify), they turn auditing off rather than failing every write
+function getSink() {
+    if (sink === undefined) {
+        try {
+            sink = SINKS[loadAudit()]();
+        } catch (error) {
+            console.error(`Audit log is off: ${error.message}`);
+            sink = null;
+        }
+    }
+    return sink;
+}
+
+function setSink(customSink) {
+    sink = customSink;
+}
+
+// The sink used when AUDIT_SINK isn't set
+function setDefaultSink(name) {
+    defaultSink = name;
+}
+
+function isEnabled() {
+    return getSink() !== null;
+}
+
+// Whether a sheet is the audit tab. Names are compared ignoring case, since
+// Google won't let two sheets' names differ only in case.
+function isAuditSheet(spreadsheetId, sheetName) {
+    const current = getSink();
+    return Boolean(current && current.sheetName && typeof sheetName === 'string') &&
+        current.spreadsheetId === spreadsheetId &&
+        current.sheetName.toLowerCase() === sheetName.toLowerCase();
+}
+
+// Store what a write changed. `change` is the handler's { operation, spreadsheetId?,
+// sheetName?, range?, before?, after? }; `context` is { route, apiKeyId, ip, target },
+// whose target fills in the spreadsheet and sheet the change doesn't name. The
+// write has already happened, so a failure here is logged rather than thrown.
+async function record(change, context, getSheetsService) {
+    try {
+        if (!isEnabled()) {
+            return;
+        }
+
+        const { operation, range, before, after } = change;
+        const target = context.target || {};
+
+        await getSink().write({
+            timestamp: new Date().toISOString(),
+            operation,
+            route: context.route,
+            apiKeyId: context.apiKeyId || null,
+            ip: context.ip || null,
+            spreadsheetId: change.spreadsheetId || target.spreadsheetId || null,
+            sheetName: change.sheetName || target.sheetName || null,
+            range: range || null,
+            before: before ?? null,
+            after: after ?? null
+        }, getSheetsService);
+    } catch (error) {
+        console.error(`Failed to write audit record for ${context.route}:`, error);
+    }
+}
+
+// Records matching every given filter, newest first. `from` and `to` are ISO
+// dates or date-times (inclusive: a `to` date runs to the end of that day),
+// `caller` matches the API key ID or the IP address.
+async function query(filters, getSheetsService) {
+    const { from, to, caller, spreadsheetId, sheetName, operation, canAccess = () => true } = filters;
+    const limit = Math.min(MAX_LIMIT, parseInt(filters.limit) || DEFAULT_LIMIT);
+    const fromTime = from ? Date.parse(from) : -Infinity;
+    const toTime = !to ? Infinity : Date.parse(to) + (DATE_ONLY.test(to) ? DAY_MS - 1 : 0);
+
+    const records = await getSink().read(getSheetsService);
+
+    const matches = records.filter(entry => {
+        const time = Date.parse(entry.timestamp);
+        return time >= fromTime && time <= toTime &&
+            (!caller || entry.apiKeyId === caller || entry.ip === caller) &&
+            (!spreadsheetId || entry.spreadsheetId === spreadsheetId) &&
+            (!sheetName || entry.sheetName === sheetName) &&
+            (!operation || entry.operation === operation) &&
+            canAccess(entry);
+    }).reverse();
+
+    return { total: matches.length, records: matches.slice(0, limit) };
+}
+
+module.exports = { SINKS, loadAudit, setSink, setDefaultSink, isEnabled, isAuditSheet, record, query };
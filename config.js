@@ -0,0 +1,32 @@
+const fs = require('fs');
+const path = require('path');
+
+// Load a JSON config block, preferring an inline environment variable (handy on
+// Netlify, where local files are not bundled) over a file on disk.
+function loadJsonConfig(envVar, fileEnvVar, defaultFile) {
+    const inline = process.env[envVar];
+    if (inline) {
+        try {
+            return JSON.parse(inline);
+        } catch (error) {
+            throw new Error(`${envVar} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    const filePath = path.resolve(process.env[fileEnvVar] || defaultFile);
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${filePath} is not valid JSON: ${error.message}`);
+    }
+}
+
+function isDevMode() {
+    return process.env.NODE_ENV === 'development' || process.env.DEV_MODE === 'true';
+}
+
+module.exports = { loadJsonConfig, isDevMode };
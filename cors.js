@@ -0,0 +1,170 @@
+const { loadJsonConfig } = require('./config');
+
+// CORS policy, enforced the same way by the restify server and the Netlify
+// functions. Settings come from CORS (inline JSON) or CORS_FILE (default:
+// cors.json), merged over DEFAULT_POLICY, with optional overrides per route
+// ("METHOD /path") and per target spreadsheet (the most specific wins):
+//
+// { "origins": ["https://example.com", "https://*.example.com"],
+//   "credentials": false,
+//   "maxAge": 600,
+//   "routes": { "POST /forms/:formId": { "origins": ["*"] } },
+//   "spreadsheets": { "1ABC...": { "origins": ["https://intranet.example.com"] } } }
+//
+// A request from an origin that isn't allowed is rejected with 403 before its
+// handler runs, so a page can't write to a sheet even with a "simple" request
+// that skips the preflight. Requests without an Origin header (servers, webhooks,
+// curl) aren't affected.
+
+const DEFAULT_POLICY = {
+    origins: ['*'],
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+    headers: ['Origin', 'X-Requested-With', 'Content-Type', 'Accept', 'Authorization', 'X-API-Key', 'If-None-Match', 'Idempotency-Key'],
+    exposeHeaders: ['ETag', 'Location', 'Retry-After', 'Idempotent-Replayed', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'],
+    credentials: false,
+    maxAge: 600
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+let config = null;
+
+function checkPolicy(policy, where) {
+    Object.keys(policy).forEach(field => {
+        if (!POLICY_FIELDS.includes(field)) {
+            throw new Error(`CORS ${where} has unknown setting '${field}'. Use: ${POLICY_FIELDS.join(', ')}`);
+        }
+    });
+    ['origins', 'methods', 'headers', 'exposeHeaders'].forEach(field => {
+        if (policy[field] !== undefined && !Array.isArray(policy[field])) {
+            throw new Error(`CORS ${where}: ${field} must be an array`);
+        }
+    });
+}
+
+function loadCors() {
+    if (!config) {
+        const { routes = {}, spreadsheets = {}, ...base } = loadJsonConfig('CORS', 'CORS_FILE', 'cors.json') || {};
+
+        checkPolicy(base, 'settings');
+        Object.entries(routes).forEach(([route, policy]) => checkPolicy(policy, `override for ${route}`));
+        Object.entries(spreadsheets).forEach(([id, policy]) => checkPolicy(policy, `override for spreadsheet ${id}`));
+
+        config = { base: { ...DEFAULT_POLICY, ...base }, routes, spreadsheets };
+    }
+    return config;
+}
+
+function policyFor(route, spreadsheetId) {
+    const { base, routes, spreadsheets } = loadCors();
+    return {
+        ...base,
+        ...routes[`${route.method} ${route.path}`],
+        ...(spreadsheetId && spreadsheets[spreadsheetId])
+    };
+}
+
+// "https://*.example.com" matches any subdomain (not example.com itself); a
+// pattern without a scheme matches the host over http or https
+function matchesOrigin(pattern, origin) {
+    if (pattern === '*') {
+        return true;
+    }
+
+    const wanted = pattern.toLowerCase();
+    const actual = origin.toLowerCase();
+    const compared = wanted.includes('://') ? actual : actual.replace(/^https?:\/\//, '');
+
+    if (wanted.includes('*.')) {
+        const [prefix, suffix] = wanted.split('*.');
+        return compared.startsWith(prefix) && compared.endsWith(`.${suffix}`)
+            && compared.length > prefix.length + suffix.length + 1;
+    }
+    return compared === wanted;
+}
+
+function isOriginAllowed(policy, origin) {
+    return policy.origins.some(pattern => matchesOrigin(pattern, origin));
+}
+
+// Echo the origin rather than "*" when credentials are allowed, as browsers require
+function originHeaders(policy, origin) {
+    const anyOrigin = policy.origins.includes('*') && !policy.credentials;
+    const headers = { 'Access-Control-Allow-Origin': anyOrigin ? '*' : origin };
+
+    if (!anyOrigin) {
+        headers['Vary'] = 'Origin';
+    }
+    if (policy.credentials) {
+        headers['Access-Control-Allow-Credentials'] = 'true';
+    }
+    return headers;
+}
+
+function rejection(message) {
+    return { status: 403, body: { error: message } };
+}
+
+// Check an actual (non-preflight) request. Returns { allowed, headers, error }.
+function checkRequest(route, spreadsheetId, origin) {
+    if (!origin) {
+        return { allowed: true, headers: {} };
+    }
+
+    const policy = policyFor(route, spreadsheetId);
+    if (!isOriginAllowed(policy, origin)) {
+        return { allowed: false, headers: {}, error: `Origin ${origin} is not allowed by the CORS policy` };
+    }
+
+    const headers = originHeaders(policy, origin);
+    if (policy.exposeHeaders.length > 0) {
+        headers['Access-Control-Expose-Headers'] = policy.exposeHeaders.join(', ');
+    }
+    return { allowed: true, headers };
+}
+
+// Answer an OPTIONS preflight for the routes at a path. The request body isn't
+// sent with a preflight, so a spreadsheet override only applies here when the
+// spreadsheetId is in the query string; the actual request is checked again.
+function preflight(pathRoutes, { headers, query = {} }) {
+    const origin = headers.origin;
+    const requestedMethod = String(headers['access-control-request-method'] || '').toUpperCase();
+    const route = pathRoutes.find(candidate => candidate.method === requestedMethod) || pathRoutes[0];
+
+    if (!route) {
+        return { status: 404, body: { error: 'Not found' } };
+    }
+
+    const policy = policyFor(route, query.spreadsheetId);
+    const methods = pathRoutes.map(candidate => candidate.method).filter(method => policy.methods.includes(method));
+
+    if (origin && !isOriginAllowed(policy, origin)) {
+        return rejection(`Origin ${origin} is not allowed by the CORS policy`);
+    }
+    if (requestedMethod && !methods.includes(requestedMethod)) {
+        return rejection(`Method ${requestedMethod} is not allowed by the CORS policy`);
+    }
+
+    const allowedHeaders = policy.headers.map(header => header.toLowerCase());
+    const requestedHeaders = String(headers['access-control-request-headers'] || '')
+        .split(',')
+        .map(header => header.trim())
+        .filter(Boolean);
+    const disallowed = requestedHeaders.filter(header => !allowedHeaders.includes(header.toLowerCase()));
+    if (disallowed.length > 0) {
+        return rejection(`Headers not allowed by the CORS policy: ${disallowed.join(', ')}`);
+    }
+
+    return {
+        status: 204,
+        body: undefined,
+        headers: {
+            ...(origin ? originHeaders(policy, origin) : {}),
+            'Access-Control-Allow-Methods': methods.join(', '),
+            'Access-Control-Allow-Headers': policy.headers.join(', '),
+            'Access-Control-Max-Age': String(policy.maxAge)
+        }
+    };
+}
+
+module.exports = { DEFAULT_POLICY, loadCors, checkRequest, preflight };
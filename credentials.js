@@ -0,0 +1,115 @@
+const fs = require('fs');
+const path = require('path');
+
+// Load a Google service account key from wherever the deployment keeps it.
+// A source is one of:
+//
+//   "path/to/key.json" or { file: "path/to/key.json" }
+//   { env: "VAR" }          inline JSON, or the same JSON base64-encoded
+//   { envPrefix: "ACME_" }  split variables: ACME_CLIENT_EMAIL, ACME_PRIVATE_KEY, ...
+//   { client_email, private_key, ... }  the parsed key itself
+//
+// Without a source, the first of these that is set wins: GOOGLE_CREDENTIALS
+// (inline or base64), GOOGLE_CREDENTIALS_FILE, GOOGLE_APPLICATION_CREDENTIALS,
+// the split GOOGLE_CLIENT_EMAIL / GOOGLE_PRIVATE_KEY variables (as set on
+// Netlify), and finally credentials.json.
+
+const SOURCE_KINDS = ['file', 'env', 'envPrefix'];
+
+function defaultSource() {
+    if (process.env.GOOGLE_CREDENTIALS) {
+        return { env: 'GOOGLE_CREDENTIALS' };
+    }
+    if (process.env.GOOGLE_CREDENTIALS_FILE) {
+        return { file: process.env.GOOGLE_CREDENTIALS_FILE };
+    }
+    if (process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        return { file: process.env.GOOGLE_APPLICATION_CREDENTIALS };
+    }
+    if (process.env.GOOGLE_CLIENT_EMAIL && process.env.GOOGLE_PRIVATE_KEY) {
+        return { envPrefix: 'GOOGLE_' };
+    }
+    return { file: 'credentials.json' };
+}
+
+function describeSource(source) {
+    if (source.file) {
+        return path.resolve(source.file);
+    }
+    if (source.env) {
+        return source.env;
+    }
+    if (source.envPrefix) {
+        return `${source.envPrefix}* variables`;
+    }
+    return 'inline credentials';
+}
+
+function fromFile(file) {
+    return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+// Base64 keeps the key's newlines intact in dashboards that mangle multi-line values
+function fromEnv(name) {
+    const value = (process.env[name] || '').trim();
+    if (!value) {
+        throw new Error(`${name} is not set`);
+    }
+    const text = value.startsWith('{') ? value : Buffer.from(value, 'base64').toString('utf8');
+    return JSON.parse(text);
+}
+
+function fromSplitEnv(prefix) {
+    const env = name => process.env[`${prefix}${name}`];
+    return {
+        type: 'service_account',
+        project_id: env('PROJECT_ID'),
+        private_key_id: env('PRIVATE_KEY_ID'),
+        // Dashboards store the key's newlines as literal "\n"
+        private_key: env('PRIVATE_KEY')?.replace(/\\n/g, '\n'),
+        client_email: env('CLIENT_EMAIL'),
+        client_id: env('CLIENT_ID'),
+        auth_uri: 'https://accounts.google.com/o/oauth2/auth',
+        token_uri: 'https://oauth2.googleapis.com/token',
+        auth_provider_x509_cert_url: 'https://www.googleapis.com/oauth2/v1/certs',
+        client_x509_cert_url: env('CLIENT_X509_CERT_URL'),
+        universe_domain: 'googleapis.com'
+    };
+}
+
+function checkSource(source, where) {
+    const kinds = SOURCE_KINDS.filter(kind => source[kind]);
+    if (kinds.length !== 1) {
+        throw new Error(`${where} needs exactly one of: ${SOURCE_KINDS.join(', ')}`);
+    }
+}
+
+// Returns the parsed key; throws with the source's name when it can't be read
+function loadCredentials(source = defaultSource()) {
+    if (typeof source === 'string') {
+        source = { file: source };
+    }
+    if (source.client_email) {
+        return source;
+    }
+
+    let credentials;
+    try {
+        if (source.file) {
+            credentials = fromFile(source.file);
+        } else if (source.env) {
+            credentials = fromEnv(source.env);
+        } else {
+            credentials = fromSplitEnv(source.envPrefix);
+        }
+    } catch (error) {
+        throw new Error(`Can't read Google credentials from ${describeSource(source)}: ${error.message}`);
+    }
+
+    if (!credentials.client_email || !credentials.private_key) {
+        throw new Error(`Google credentials from ${describeSource(source)} need a client_email and a private_key`);
+    }
+    return credentials;
+}
+
+module.exports = { SOURCE_KINDS, defaultSource, checkSource, loadCredentials };
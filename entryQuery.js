@@ -0,0 +1,202 @@
+const { HttpError } = require('./errors');
+const { findColumn } = require('./rowMapper');
+
+// Filtering, sorting, column selection and pagination for GET /entries.
+//
+//   where=Status:eq:open;Priority:gt:2   conditions separated by ';' (or repeated
+//                                        where params); match=any ORs them
+//   sort=-Priority,Name                  '-' prefix or ':desc' suffix sorts descending
+//   fields=Name,Email                    only return these columns
+//   limit=20&offset=40 or limit=20&cursor=...
+
+const OPERATORS = {
+    eq: (cell, value) => compare(cell, value) === 0,
+    ne: (cell, value) => compare(cell, value) !== 0,
+    contains: (cell, value) => String(cell).toLowerCase().includes(value.toLowerCase()),
+    gt: (cell, value) => cell !== '' && compare(cell, value) > 0,
+    gte: (cell, value) => cell !== '' && compare(cell, value) >= 0,
+    lt: (cell, value) => cell !== '' && compare(cell, value) < 0,
+    lte: (cell, value) => cell !== '' && compare(cell, value) <= 0
+};
+
+function isNumeric(value) {
+    return value !== '' && value !== null && !isNaN(Number(value));
+}
+
+// An ISO date or date-time, such as 2024-05-01 or 2024-05-01T14:03:12Z. Only
+// these count as dates: Date.parse also reads free text like "Room 1" as one.
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/;
+
+function isDate(value) {
+    return ISO_DATE.test(String(value)) && !isNaN(Date.parse(value));
+}
+
+// Compare numerically when both sides are numbers, as dates when both are ISO
+// dates, and as strings otherwise
+function compare(a, b) {
+    if (isNumeric(a) && isNumeric(b)) {
+        return Number(a) - Number(b);
+    }
+
+    if (isDate(a) && isDate(b)) {
+        return Date.parse(a) - Date.parse(b);
+    }
+
+    return String(a).localeCompare(String(b));
+}
+
+function toList(param) {
+    if (param === undefined || param === null || param === '') {
+        return [];
+    }
+    return Array.isArray(param) ? param : [param];
+}
+
+// Resolve a client-supplied column name to the sheet's own header spelling
+function resolveField(headers, name, param) {
+    const index = findColumn(headers, name);
+    if (index === -1) {
+        throw new HttpError(400, `Unknown column '${name}' in ${param}`, { columns: headers });
+    }
+    return headers[index];
+}
+
+function parseWhere(param, headers) {
+    return toList(param)
+        .flatMap(clause => String(clause).split(';'))
+        .filter(Boolean)
+        .map(condition => {
+            const [field, operator, ...rest] = condition.split(':');
+            if (!field || !operator || rest.length === 0) {
+                throw new HttpError(400, `Invalid where condition '${condition}'. Use column:operator:value`);
+            }
+            if (!OPERATORS[operator]) {
+                throw new HttpError(400, `Unknown operator '${operator}'. Use one of: ${Object.keys(OPERATORS).join(', ')}`);
+            }
+            return {
+                field: resolveField(headers, field, 'where'),
+                operator,
+                value: rest.join(':')
+            };
+        });
+}
+
+function parseSort(param, headers) {
+    return toList(param)
+        .flatMap(clause => String(clause).split(','))
+        .filter(Boolean)
+        .map(clause => {
+            let name = clause.trim();
+            let descending = false;
+
+            if (name.startsWith('-')) {
+                descending = true;
+                name = name.slice(1);
+            } else if (/:(asc|desc)$/i.test(name)) {
+                descending = /:desc$/i.test(name);
+                name = name.replace(/:(asc|desc)$/i, '');
+            }
+
+            return { field: resolveField(headers, name, 'sort'), descending };
+        });
+}
+
+function parseFields(param, headers) {
+    return toList(param)
+        .flatMap(clause => String(clause).split(','))
+        .map(name => name.trim())
+        .filter(Boolean)
+        .map(name => resolveField(headers, name, 'fields'));
+}
+
+function parseInteger(value, name, minimum) {
+    if (value === undefined || value === '') {
+        return null;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < minimum) {
+        throw new HttpError(400, `${name} must be ${minimum === 0 ? 'a non-negative' : 'a positive'} integer`);
+    }
+    return number;
+}
+
+function encodeCursor(offset) {
+    return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (Number.isInteger(offset) && offset >= 0) {
+            return offset;
+        }
+    } catch (error) {
+        // Fall through to the error below
+    }
+    throw new HttpError(400, 'Invalid cursor');
+}
+
+// Apply the query parameters to header-keyed records (each carrying its `_row`)
+// and return the requested page plus pagination metadata
+function queryRecords(records, headers, query = {}) {
+    const conditions = parseWhere(query.where, headers);
+    const sortKeys = parseSort(query.sort, headers);
+    const fields = parseFields(query.fields, headers);
+    const matchAny = query.match === 'any';
+
+    if (query.match && !['all', 'any'].includes(query.match)) {
+        throw new HttpError(400, "match must be 'all' or 'any'");
+    }
+
+    // A limit of 0 would give an empty page whose nextCursor is the same page
+    const limit = parseInteger(query.limit, 'limit', 1);
+    const offset = query.cursor
+        ? decodeCursor(query.cursor)
+        : (parseInteger(query.offset, 'offset', 0) || 0);
+
+    let results = records;
+
+    if (conditions.length > 0) {
+        results = results.filter(record => {
+            const test = condition => OPERATORS[condition.operator](record[condition.field] ?? '', condition.value);
+            return matchAny ? conditions.some(test) : conditions.every(test);
+        });
+    }
+
+    if (sortKeys.length > 0) {
+        results = [...results].sort((a, b) => {
+            for (const { field, descending } of sortKeys) {
+                const order = compare(a[field] ?? '', b[field] ?? '');
+                if (order !== 0) {
+                    return descending ? -order : order;
+                }
+            }
+            return a._row - b._row;
+        });
+    }
+
+    const total = results.length;
+    const page = limit === null ? results.slice(offset) : results.slice(offset, offset + limit);
+    const nextOffset = offset + page.length < total ? offset + page.length : null;
+
+    const data = fields.length === 0 ? page : page.map(record => {
+        const selected = { _row: record._row };
+        fields.forEach(field => {
+            selected[field] = record[field];
+        });
+        return selected;
+    });
+
+    return {
+        headers: fields.length > 0 ? fields : headers,
+        data,
+        total,
+        count: data.length,
+        offset,
+        limit,
+        nextOffset,
+        nextCursor: nextOffset === null ? null : encodeCursor(nextOffset)
+    };
+}
+
+module.exports = { OPERATORS, queryRecords };
@@ -0,0 +1,21 @@
+// Error carrying the HTTP status (and optional extra response fields) that the
+// route layer should answer with. Anything else thrown by a handler is a 500.
+class HttpError extends Error {
+    constructor(statusCode, message, details = {}) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+        this.details = details;
+    }
+}
+
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH'];
+
+// Failures worth retrying later: Google 5xx and quota (429) responses, network
+// errors, and our own 503 when the Sheets client isn't initialized
+function isTransientError(error) {
+    const status = error.statusCode || error.status || (error.response && error.response.status);
+    return status === 429 || status >= 500 || TRANSIENT_NETWORK_CODES.includes(error.code);
+}
+
+module.exports = { HttpError, TRANSIENT_NETWORK_CODES, isTransientError };
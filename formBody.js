@@ -0,0 +1,79 @@
+// Parse HTML form posts (application/x-www-form-urlencoded and multipart/form-data)
+// into a { field: value } object. Repeated fields become arrays; file uploads are
+// skipped. The restify server gets this from its body parser; Netlify functions
+// receive the raw body and use this module instead.
+
+const FORM_TYPES = ['application/x-www-form-urlencoded', 'multipart/form-data'];
+
+function mediaType(contentType) {
+    return String(contentType || '').split(';')[0].trim().toLowerCase();
+}
+
+function isFormContentType(contentType) {
+    return FORM_TYPES.includes(mediaType(contentType));
+}
+
+function addField(fields, name, value) {
+    if (!(name in fields)) {
+        fields[name] = value;
+    } else if (Array.isArray(fields[name])) {
+        fields[name].push(value);
+    } else {
+        fields[name] = [fields[name], value];
+    }
+}
+
+function parseUrlEncoded(buffer) {
+    const fields = {};
+    new URLSearchParams(buffer.toString('utf8')).forEach((value, name) => addField(fields, name, value));
+    return fields;
+}
+
+function parseMultipart(buffer, contentType) {
+    const match = String(contentType).match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    if (!match) {
+        throw new Error('multipart/form-data body has no boundary');
+    }
+
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`);
+    const fields = {};
+    let start = buffer.indexOf(delimiter);
+
+    while (start !== -1) {
+        const partStart = start + delimiter.length;
+        // "--" right after the delimiter marks the end of the body
+        if (buffer.slice(partStart, partStart + 2).toString() === '--') {
+            break;
+        }
+
+        const end = buffer.indexOf(delimiter, partStart);
+        if (end === -1) {
+            throw new Error('multipart/form-data body is truncated');
+        }
+
+        // Each part is "\r\n<headers>\r\n\r\n<value>\r\n"
+        const part = buffer.slice(partStart + 2, end - 2);
+        const headerEnd = part.indexOf('\r\n\r\n');
+        const headers = part.slice(0, headerEnd === -1 ? part.length : headerEnd).toString('utf8');
+        const disposition = headers.match(/content-disposition:[^\r\n]*/i);
+        const name = disposition && disposition[0].match(/\bname="([^"]*)"/i);
+
+        if (name && !/\bfilename\*?=/i.test(disposition[0]) && headerEnd !== -1) {
+            addField(fields, name[1], part.slice(headerEnd + 4).toString('utf8'));
+        }
+
+        start = end;
+    }
+
+    return fields;
+}
+
+// `body` is the raw request body as a Buffer (or string)
+function parseFormBody(contentType, body) {
+    const buffer = Buffer.isBuffer(body) ? body : Buffer.from(body || '', 'utf8');
+    return mediaType(contentType) === 'multipart/form-data'
+        ? parseMultipart(buffer, contentType)
+        : parseUrlEncoded(buffer);
+}
+
+module.exports = { isFormContentType, parseFormBody };
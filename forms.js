@@ -0,0 +1,164 @@
+const { loadJsonConfig } = require('./config');
+const { HttpError } = require('./errors');
+const { translateGoogleError } = require('./googleErrors');
+
+// Plain HTML forms: <form method="post" action="/forms/:formId"> writes one row.
+// Forms are defined in FORMS (inline JSON) or FORMS_FILE (default: forms.json):
+//
+// { "forms": [{
+//     "id": "newsletter",
+//     "spreadsheetId": "1ABC..." (default: GOOGLE_SHEET_ID),
+//     "sheetName": "Signups",
+//     "fields": { "email": "Email", "name": "Name" },
+//     "unknownFields": "ignore",
+//     "honeypot": "website",
+//     "includeTimestamp": true,
+//     "timestampField": "Submitted",
+//     "successUrl": "https://example.com/thanks",
+//     "errorUrl": "https://example.com/signup-failed"
+// }] }
+//
+// `fields` maps form field names to columns; other fields are dropped. Without
+// it, field names are used as column names and `unknownFields` applies
+// (reject, ignore or add, as for object-mode entries; default: ignore).
+
+let forms = null;
+
+// Check the form definitions up front so a typo fails at startup, not on a submission
+function checkDefinition(form, index) {
+    const where = `Form ${index} (${form.id || 'no id'})`;
+
+    if (!form.id || !form.sheetName) {
+        throw new Error(`${where} needs an id and a sheetName`);
+    }
+    if (form.fields !== undefined && (typeof form.fields !== 'object' || Array.isArray(form.fields))) {
+        throw new Error(`${where}: fields must map form field names to column names`);
+    }
+}
+
+function loadForms() {
+    if (!forms) {
+        const config = loadJsonConfig('FORMS', 'FORMS_FILE', 'forms.json');
+        const definitions = (config && config.forms) || [];
+        definitions.forEach(checkDefinition);
+        forms = definitions;
+    }
+    return forms;
+}
+
+// Multi-select fields and checkboxes arrive as arrays
+function toValue(value) {
+    return Array.isArray(value) ? value.join(', ') : value;
+}
+
+function toRecord(form, body) {
+    const record = {};
+    Object.entries(body).forEach(([name, value]) => {
+        if (name === form.honeypot) {
+            return;
+        }
+        if (!form.fields) {
+            record[name] = toValue(value);
+        } else if (form.fields[name]) {
+            record[form.fields[name]] = toValue(value);
+        }
+    });
+    return record;
+}
+
+// fetch() and XHR callers that ask for JSON get it; browsers get redirected
+function wantsJson(request) {
+    const accept = String(request.headers.accept || '');
+    return request.query.format === 'json' || (accept.includes('application/json') && !accept.includes('text/html'));
+}
+
+function withQuery(url, params) {
+    const query = new URLSearchParams(params).toString();
+    if (!query) {
+        return url;
+    }
+    const [base, hash] = url.split('#');
+    return `${base}${base.includes('?') ? '&' : '?'}${query}${hash !== undefined ? `#${hash}` : ''}`;
+}
+
+// 303 so the browser follows up with a GET and a refresh doesn't resubmit
+function respond(request, url, status, body, params = {}) {
+    const location = url || request.headers.referer;
+
+    if (wantsJson(request) || !location) {
+        return { status, body };
+    }
+    return {
+        status: 303,
+        body: undefined,
+        headers: { Location: withQuery(location, params) }
+    };
+}
+
+// POST /forms/:formId. The Sheets client is fetched here rather than by
+// handleRequest, so a failed initialization still redirects to errorUrl.
+async function submitForm(request, sheetsService, getSheetsService) {
+    const form = loadForms().find(candidate => candidate.id === request.params.formId);
+    if (!form) {
+        throw new HttpError(404, `No form with id '${request.params.formId}'`);
+    }
+
+    const body = request.body || {};
+
+    // Bots fill in every field, including the hidden honeypot; pretend it worked
+    if (form.honeypot && toValue(body[form.honeypot])) {
+        console.log(`Form ${form.id}: dropped a submission that filled in the honeypot`);
+        return respond(request, form.successUrl, 200, { success: true, formId: form.id });
+    }
+
+    const spreadsheetId = form.spreadsheetId || process.env.GOOGLE_SHEET_ID;
+    let service = null;
+
+    try {
+        const record = toRecord(form, body);
+        if (Object.keys(record).length === 0) {
+            throw new HttpError(400, 'The form submission has no fields for this sheet');
+        }
+
+        service = await getSheetsService({ spreadsheetId });
+        const result = await service.appendRecords(spreadsheetId, form.sheetName, [record], {
+            includeTimestamp: form.includeTimestamp,
+            timestampField: form.timestampField,
+            timezone: form.timezone,
+            unknownKeys: form.fields ? 'ignore' : (form.unknownFields || 'ignore')
+        });
+
+        return {
+            ...respond(request, form.successUrl, 200, {
+                success: true,
+                formId: form.id,
+                updatedRange: result.updatedRange
+            }),
+            audit: {
+                operation: 'append',
+                spreadsheetId,
+                sheetName: form.sheetName,
+                range: result.updatedRange,
+                after: result.data
+            }
+        };
+    } catch (caught) {
+        const error = translateGoogleError(caught, {
+            spreadsheetId,
+            sheetName: form.sheetName,
+            clientEmail: service?.clientEmail
+        }) || caught;
+
+        if (!(error instanceof HttpError)) {
+            console.error(`Error submitting form ${form.id}:`, error);
+        }
+
+        const status = error instanceof HttpError ? error.statusCode : 500;
+        const message = error instanceof HttpError ? error.message : 'Failed to submit form';
+        const details = error instanceof HttpError ? error.details : { message: error.message };
+
+        return respond(request, form.errorUrl, status, { error: message, ...details }, { error: message });
+    }
+}
+
+module.exports = { loadForms, submitForm };
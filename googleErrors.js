@@ -0,0 +1,169 @@
+const { HttpError, TRANSIENT_NETWORK_CODES } = require('./errors');
+
+// Turn a failed Google API call into the HTTP status the client should see,
+// with a stable `code` to branch on and a `hint` saying how to fix it. Both
+// runtimes go through routes.js, so both answer the same way:
+//
+//   404 SPREADSHEET_NOT_FOUND   no spreadsheet with that ID
+//   404 SHEET_NOT_FOUND         no sheet (tab) with that name
+//   403 SHEET_NOT_SHARED        the spreadsheet isn't shared with the account we act as
+//   409 SHEET_EXISTS            creating, renaming or copying to a sheet name that is taken
+//   429 QUOTA_EXCEEDED          Google's per-minute quota is used up
+//   503 SHEETS_API_DISABLED     the Sheets API isn't enabled for the Cloud project
+//   503 GOOGLE_AUTH_FAILED      the credentials were rejected
+//   503 GOOGLE_UNAVAILABLE      Google errored or couldn't be reached
+//   400 GOOGLE_BAD_REQUEST      any other request Google rejected
+//
+// Google's own message is kept in `message`.
+
+const QUOTA_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded', 'RATE_LIMIT_EXCEEDED'];
+
+class GoogleApiError extends HttpError {
+    constructor(statusCode, code, message, { hint, googleMessage, ...details } = {}) {
+        super(statusCode, message, { code, hint, message: googleMessage, ...details });
+        this.name = 'GoogleApiError';
+        this.code = code;
+    }
+}
+
+// The status and message of a googleapis (GaxiosError) failure, and the
+// machine-readable reasons Google attached to it
+function describeGoogleError(error) {
+    const body = error.response?.data?.error;
+    const details = typeof body === 'object' && body !== null ? body : {};
+    const reasons = [
+        ...(details.errors || []).map(item => item.reason),
+        ...(details.details || []).map(item => item.reason)
+    ].filter(Boolean);
+
+    return {
+        status: error.response?.status || (typeof error.code === 'number' ? error.code : undefined),
+        message: details.message || error.response?.data?.error_description || error.message,
+        // OAuth token errors put a string here, e.g. "invalid_grant"
+        oauthError: typeof body === 'string' ? body : undefined,
+        reasons
+    };
+}
+
+// 'A sheet with the name "Orders" already exists' -> "Orders"
+function sheetFromConflict(message) {
+    const match = /name "(.+)" already exists/.exec(message);
+    return match ? match[1] : undefined;
+}
+
+// "Unable to parse range: 'Sign ups'!A1:Z1" -> "Sign ups"
+function sheetFromRange(message) {
+    const match = /Unable to parse range: '?(.+?)'?!/.exec(message) || /Unable to parse range: '?([^'!]+)'?$/.exec(message);
+    return match ? match[1].replace(/''/g, "'") : undefined;
+}
+
+function whoToShareWith({ account, clientEmail }) {
+    if (account) {
+        return `Ask the spreadsheet's owner to share it with ${account} as an Editor`;
+    }
+    if (clientEmail) {
+        return `Share the spreadsheet with ${clientEmail} as an Editor`;
+    }
+    return "Share the spreadsheet with the service account's client_email as an Editor";
+}
+
+// Returns a GoogleApiError, or null when `error` didn't come from Google (it
+// stays a 500). `context` is what the request was doing: { spreadsheetId,
+// sheetName, account, clientEmail }, all optional.
+function translateGoogleError(error, context = {}) {
+    if (error instanceof HttpError) {
+        return null;
+    }
+
+    const { spreadsheetId, sheetName } = context;
+    const spreadsheet = spreadsheetId ? `spreadsheet ${spreadsheetId}` : 'the spreadsheet';
+
+    if (TRANSIENT_NETWORK_CODES.includes(error.code)) {
+        return new GoogleApiError(503, 'GOOGLE_UNAVAILABLE', "Google Sheets can't be reached", {
+            hint: 'Retry later; check the network if it persists',
+            googleMessage: error.message
+        });
+    }
+
+    const { status, message, oauthError, reasons } = describeGoogleError(error);
+    if (!status) {
+        return null;
+    }
+
+    if (status === 429 || reasons.some(reason => QUOTA_REASONS.includes(reason))) {
+        return new GoogleApiError(429, 'QUOTA_EXCEEDED', 'Google Sheets API quota exceeded', {
+            hint: 'Retry in a minute, or request a higher quota in Google Cloud Console',
+            googleMessage: message,
+            retryAfter: 60
+        });
+    }
+
+    if (status === 401 || oauthError === 'invalid_grant') {
+        return new GoogleApiError(503, 'GOOGLE_AUTH_FAILED', 'Google rejected the credentials', {
+            hint: "Check the service account's key: it may have been deleted, rotated or disabled",
+            googleMessage: message
+        });
+    }
+
+    if (status === 403 && (reasons.includes('accessNotConfigured') || reasons.includes('SERVICE_DISABLED'))) {
+        return new GoogleApiError(503, 'SHEETS_API_DISABLED', 'The Google Sheets API is not enabled', {
+            hint: "Enable the Google Sheets API in the service account's Google Cloud project",
+            googleMessage: message
+        });
+    }
+
+    if (status === 403) {
+        return new GoogleApiError(403, 'SHEET_NOT_SHARED', `No access to ${spreadsheet}`, {
+            hint: whoToShareWith(context),
+            googleMessage: message
+        });
+    }
+
+    if (status === 404) {
+        return new GoogleApiError(404, 'SPREADSHEET_NOT_FOUND', `No ${spreadsheet} was found`, {
+            hint: "Check the spreadsheetId: it is the part of the spreadsheet's URL between /d/ and /edit",
+            googleMessage: message
+        });
+    }
+
+    if (status === 400 && /already exists/i.test(message)) {
+        const taken = sheetFromConflict(message) || sheetName;
+        return new GoogleApiError(409, 'SHEET_EXISTS', taken ? `Sheet "${taken}" already exists` : 'The sheet already exists', {
+            hint: 'Choose another sheet name, or use the existing sheet',
+            googleMessage: message
+        });
+    }
+
+    if (status === 400 && /Unable to parse range/i.test(message)) {
+        const missing = sheetFromRange(message) || sheetName;
+        return new GoogleApiError(404, 'SHEET_NOT_FOUND', missing ? `No sheet named "${missing}" in ${spreadsheet}` : `The sheet was not found in ${spreadsheet}`, {
+            hint: 'Check the sheetName (sheet names are case-sensitive), or create the sheet with POST /sheets',
+            googleMessage: message
+        });
+    }
+
+    if (status === 400) {
+        return new GoogleApiError(400, 'GOOGLE_BAD_REQUEST', 'Google Sheets rejected the request', {
+            hint: 'See message for what Google objected to',
+            googleMessage: message
+        });
+    }
+
+    if (status >= 500) {
+        return new GoogleApiError(503, 'GOOGLE_UNAVAILABLE', 'Google Sheets is unavailable', {
+            hint: 'Retry later; Google reported an internal error',
+            googleMessage: message
+        });
+    }
+
+    return null;
+}
+
+// The stable code above for a failure, whether raw from googleapis or already
+// translated; undefined for anything else
+function googleErrorCode(error) {
+    const translated = translateGoogleError(error) || error;
+    return translated instanceof GoogleApiError ? translated.code : undefined;
+}
+
+module.exports = { GoogleApiError, translateGoogleError, googleErrorCode };
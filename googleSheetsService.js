@@ -1,17 +1,51 @@
-const fs = require('fs');
 const { google } = require('googleapis');
+const { HttpError } = require('./errors');
+const {
+    isRecord,
+    findColumn,
+    toCellValue,
+    resolveKeys,
+    assertMapsToColumns,
+    rowToRecord,
+    mapRecords
+} = require('./rowMapper');
+const { SchemaValidationError, getSchema, validateRecord } = require('./schemas');
+const readCache = require('./readCache');
+const { buildSheetRequests } = require('./sheetProvisioning');
+const { loadCredentials } = require('./credentials');
+const { isLocalBackend, getLocalSheets } = require('./localSheets');
+const { GoogleApiError, translateGoogleError, googleErrorCode } = require('./googleErrors');
 
 class GoogleSheetsService {
-    constructor(credentialsPath = 'credentials.json') {
-        this.credentialsPath = credentialsPath;
+    // `credentials` is a credential source (see credentials.js): a key file path,
+    // { env }, { envPrefix }, or the parsed key itself. By default the usual
+    // variables and credentials.json are tried.
+    constructor(credentials = null) {
+        this.credentials = credentials;
         this.sheets = null;
         this.jwtClient = null;
+        this.authClient = null;
+        this.clientEmail = null;
+
+        // Background re-initialization (see ready())
+        this.initializing = null;
+        this.initError = null;
+        this.retryAttempts = 0;
+        this.retryTimer = null;
+        this.nextRetryAt = 0;
     }
 
     async initialize() {
+        // SHEETS_BACKEND=memory|file: no credentials, no network (localSheets.js)
+        if (isLocalBackend()) {
+            this.sheets = getLocalSheets();
+            this.clientEmail = `local ${process.env.SHEETS_BACKEND} backend`;
+            console.log(`Google Sheets service using the local ${process.env.SHEETS_BACKEND} backend`);
+            return;
+        }
+
         try {
-            const keyFile = fs.readFileSync(this.credentialsPath);
-            const credentials = JSON.parse(keyFile);
+            const credentials = loadCredentials(this.credentials ?? undefined);
 
             const client_email = credentials.client_email;
             const private_key = credentials.private_key;
@@ -25,6 +59,8 @@ class GoogleSheetsService {
             await this.jwtClient.authorize();
 
             // Create an instance of the sheets API
+            this.authClient = this.jwtClient;
+            this.clientEmail = client_email;
             this.sheets = google.sheets({ version: 'v4', auth: this.jwtClient });
 
             console.log('Google Sheets service initialized successfully');
@@ -34,45 +70,125 @@ class GoogleSheetsService {
         }
     }
 
-    async appendRow(spreadsheetId, sheetName, data, options = {}) {
-        if (!this.sheets) {
-            throw new Error('Google Sheets service not initialized. Call initialize() first.');
+    // Start an initialization, or join the one under way. A failure schedules a
+    // retry in the background, backing off exponentially from
+    // SHEETS_INIT_RETRY_MIN (ms, default 1000) to SHEETS_INIT_RETRY_MAX (default 300000).
+    initializeWithRetry() {
+        if (!this.initializing) {
+            clearTimeout(this.retryTimer);
+            this.retryTimer = null;
+
+            this.initializing = this.initialize()
+                .then(() => {
+                    this.initError = null;
+                    this.retryAttempts = 0;
+                }, error => {
+                    this.initError = error;
+                    this.scheduleRetry();
+                    throw error;
+                })
+                .finally(() => {
+                    this.initializing = null;
+                });
+        }
+        return this.initializing;
+    }
+
+    scheduleRetry() {
+        const minDelay = parseInt(process.env.SHEETS_INIT_RETRY_MIN) || 1000;
+        const maxDelay = parseInt(process.env.SHEETS_INIT_RETRY_MAX) || 300000;
+        const delay = Math.min(maxDelay, minDelay * 2 ** this.retryAttempts);
+
+        this.retryAttempts += 1;
+        this.nextRetryAt = Date.now() + delay;
+        console.log(`Retrying Google Sheets initialization in ${delay / 1000}s`);
+
+        this.retryTimer = setTimeout(() => this.initializeWithRetry().catch(() => {}), delay);
+        this.retryTimer.unref();
+    }
+
+    // Resolve once the client is initialized. While a failed initialization
+    // waits for its retry, fail straight away with its error rather than piling
+    // on; a retry that is overdue (e.g. a frozen serverless process) runs now.
+    async ready() {
+        if (this.sheets) {
+            return this;
+        }
+        if (this.initializing || !this.initError || Date.now() >= this.nextRetryAt) {
+            await this.initializeWithRetry();
+            return this;
+        }
+        throw this.initError;
+    }
+
+    // Readiness checks: can the client still get an access token? (The local
+    // backend has none to get.)
+    async checkToken() {
+        this.assertInitialized();
+        if (this.authClient) {
+            await this.authClient.getAccessToken();
+        }
+    }
+
+    // Readiness checks: can the spreadsheet be read, and with `write`, written?
+    // Setting the title to its current value changes nothing but needs edit
+    // access; it still counts against the write quota and adds to the revision
+    // history, so it is only done when asked for.
+    async checkSpreadsheetAccess(spreadsheetId, { write = false } = {}) {
+        this.assertInitialized();
+
+        const response = await this.sheets.spreadsheets.get({ spreadsheetId, fields: 'properties.title' });
+        const title = response.data.properties.title;
+        if (!write) {
+            return { title };
         }
 
         try {
-            const {
-                includeTimestamp = false,
-                timestampColumn = 0,
-                valueInputOption = 'USER_ENTERED',
-                range = null,
-                timezone = 'America/Chicago'
-            } = options;
-
-            let rowData = [...data];
-
-            // Add timestamp if requested
-            if (includeTimestamp) {
-                // Create timestamp in the specified timezone (default: Chicago)
-                const now = new Date();
-                const timestamp = now.toLocaleString('en-US', {
-                    timeZone: timezone,
-                    year: 'numeric',
-                    month: '2-digit',
-                    day: '2-digit',
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    second: '2-digit',
-                    hour12: false
-                });
-                if (timestampColumn === 0) {
-                    rowData.unshift(timestamp);
-                } else if (timestampColumn === -1) {
-                    rowData.push(timestamp);
-                } else {
-                    rowData.splice(timestampColumn, 0, timestamp);
+            await this.sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: {
+                    requests: [{ updateSpreadsheetProperties: { properties: { title }, fields: 'title' } }]
                 }
+            });
+        } catch (error) {
+            if (error.code === 403 || error.response?.status === 403) {
+                return { title, writable: false };
             }
+            throw error;
+        }
+
+        return { title, writable: true };
+    }
+
+    // Call Google with another auth client, such as a linked user's OAuth2 client
+    // (oauth.js), instead of the service account
+    useAuthClient(authClient) {
+        this.authClient = authClient;
+        this.sheets = google.sheets({ version: 'v4', auth: authClient });
+        return this;
+    }
+
+    async appendRow(spreadsheetId, sheetName, data, options = {}) {
+        this.assertInitialized();
 
+        const {
+            includeTimestamp = false,
+            timestampColumn = 0,
+            valueInputOption = 'USER_ENTERED',
+            range = null,
+            timezone = 'America/Chicago'
+        } = options;
+
+        let rowData = [...data];
+
+        // Add timestamp if requested
+        if (includeTimestamp) {
+            rowData = this.insertTimestamp(rowData, timestampColumn, this.formatTimestamp(timezone));
+        }
+
+        await this.validateRows(spreadsheetId, sheetName, [rowData]);
+
+        try {
             // Determine the range if not provided
             const targetRange = range || `${sheetName}!A1:${this.getColumnLetter(rowData.length - 1)}1`;
 
@@ -86,14 +202,17 @@ class GoogleSheetsService {
             };
 
             const response = await this.sheets.spreadsheets.values.append(writeRequest);
+            // A custom range may point at another sheet, so clear the whole spreadsheet then
+            readCache.invalidate(spreadsheetId, range ? null : sheetName);
 
             console.log('Successfully added row to Google Sheet');
-            console.log('Updated cells:', response.data.updatedCells);
+            console.log('Updated cells:', response.data.updates.updatedCells);
 
             return {
                 success: true,
-                updatedCells: response.data.updatedCells,
-                updatedRange: response.data.updates.updatedRange
+                updatedCells: response.data.updates.updatedCells,
+                updatedRange: response.data.updates.updatedRange,
+                data: rowData
             };
         } catch (error) {
             console.error('Error writing to Google Sheet:', error);
@@ -101,62 +220,852 @@ class GoogleSheetsService {
         }
     }
 
-    async getSheetData(spreadsheetId, range) {
-        if (!this.sheets) {
-            throw new Error('Google Sheets service not initialized. Call initialize() first.');
+    // Append positional rows in a single call, so either all of them are written or
+    // none are: a retry after a failure can't duplicate the first few. Checked
+    // against the sheet's schema like appendRow.
+    async appendRows(spreadsheetId, sheetName, rows, options = {}) {
+        this.assertInitialized();
+
+        const { valueInputOption = 'USER_ENTERED' } = options;
+        await this.validateRows(spreadsheetId, sheetName, rows);
+
+        const width = Math.max(...rows.map(row => row.length));
+        const response = await this.sheets.spreadsheets.values.append({
+            spreadsheetId,
+            range: `${sheetName}!A1:${this.getColumnLetter(width - 1)}1`,
+            valueInputOption,
+            resource: {
+                values: rows,
+            },
+        });
+        readCache.invalidate(spreadsheetId, sheetName);
+
+        return {
+            success: true,
+            updatedCells: response.data.updates.updatedCells,
+            updatedRange: response.data.updates.updatedRange,
+            data: rows
+        };
+    }
+
+    // Append header-keyed records, placing each value under its matching column.
+    // options.unknownKeys decides what happens to keys with no matching column
+    // ('reject', 'ignore' or 'add'); options.timestampField names the column that
+    // receives the timestamp when includeTimestamp is set.
+    async appendRecords(spreadsheetId, sheetName, records, options = {}) {
+        this.assertInitialized();
+
+        const {
+            includeTimestamp = false,
+            timestampField = 'Timestamp',
+            valueInputOption = 'USER_ENTERED',
+            timezone = 'America/Chicago',
+            unknownKeys
+        } = options;
+
+        let entries = records;
+        if (includeTimestamp) {
+            const timestamp = this.formatTimestamp(timezone);
+            entries = records.map(record => ({ ...record, [timestampField]: timestamp }));
+        }
+
+        // Validation and mapping errors (unknown keys, no header row) are the
+        // caller's problem, not a Sheets failure
+        this.validateRecords(spreadsheetId, sheetName, entries);
+        const headers = await this.getHeaderRow(spreadsheetId, sheetName);
+        const mapped = mapRecords(headers, entries, unknownKeys);
+
+        try {
+            if (mapped.newHeaders.length > 0) {
+                await this.setHeaderRow(spreadsheetId, sheetName, mapped.headers);
+            }
+
+            const lastColumn = this.getColumnLetter(mapped.headers.length - 1);
+            const response = await this.sheets.spreadsheets.values.append({
+                spreadsheetId,
+                range: `${sheetName}!A1:${lastColumn}1`,
+                valueInputOption,
+                resource: {
+                    values: mapped.rows,
+                },
+            });
+            readCache.invalidate(spreadsheetId, sheetName);
+
+            console.log(`Successfully added ${mapped.rows.length} row(s) to Google Sheet`);
+
+            return {
+                success: true,
+                updatedCells: response.data.updates.updatedCells,
+                updatedRange: response.data.updates.updatedRange,
+                data: mapped.rows,
+                addedColumns: mapped.newHeaders,
+                ignoredKeys: mapped.ignoredKeys
+            };
+        } catch (error) {
+            console.error('Error writing to Google Sheet:', error);
+            throw error;
+        }
+    }
+
+    // Append many rows (positional arrays and/or header-keyed records) in as few
+    // values.append calls as possible. Each row is validated on its own and gets
+    // its own result; with options.atomic, nothing is written if any row is invalid.
+    // Google errors are thrown unless some rows were already written.
+    async appendBatch(spreadsheetId, sheetName, rows, options = {}) {
+        this.assertInitialized();
+
+        const {
+            atomic = false,
+            includeTimestamp = false,
+            timestampColumn = 0,
+            timestampField = 'Timestamp',
+            valueInputOption = 'USER_ENTERED',
+            timezone = 'America/Chicago',
+            unknownKeys
+        } = options;
+
+        const timestamp = includeTimestamp ? this.formatTimestamp(timezone) : null;
+        const schema = getSchema(spreadsheetId, sheetName);
+        const needsHeaders = schema || rows.some(isRecord);
+        let headers = needsHeaders ? await this.getHeaderRow(spreadsheetId, sheetName) : [];
+        const originalHeaderCount = headers.length;
+
+        const results = [];
+        const accepted = [];
+
+        rows.forEach((row, index) => {
+            try {
+                if (isRecord(row)) {
+                    const record = timestamp ? { ...row, [timestampField]: timestamp } : row;
+                    this.validateRecords(spreadsheetId, sheetName, [record]);
+                    const resolved = resolveKeys(headers, Object.keys(record), unknownKeys);
+                    assertMapsToColumns(resolved.headers, record);
+                    headers = resolved.headers;
+                    accepted.push({ index, record });
+                    results[index] = resolved.ignoredKeys.length > 0
+                        ? { index, success: true, ignoredKeys: resolved.ignoredKeys }
+                        : { index, success: true };
+                } else if (Array.isArray(row) && row.length > 0 && !row.some(cell => cell !== null && typeof cell === 'object')) {
+                    const values = timestamp ? this.insertTimestamp([...row], timestampColumn, timestamp) : row;
+                    if (schema) {
+                        // Validate what will be stored: USER_ENTERED drops a leading apostrophe
+                        const stored = valueInputOption === 'USER_ENTERED'
+                            ? values.map(cell => typeof cell === 'string' && cell.startsWith("'") ? cell.slice(1) : cell)
+                            : values;
+                        this.validateRecords(spreadsheetId, sheetName, [rowToRecord(headers, stored)]);
+                    }
+                    accepted.push({ index, values });
+                    results[index] = { index, success: true };
+                } else {
+                    throw new HttpError(400, 'Row must be a non-empty array of values or an object keyed by column header');
+                }
+            } catch (error) {
+                if (!(error instanceof HttpError)) {
+                    throw error;
+                }
+                results[index] = { index, success: false, error: error.message, ...error.details };
+            }
+        });
+
+        const invalid = results.filter(result => !result.success).length;
+        if (accepted.length === 0 || (atomic && invalid > 0)) {
+            return this.summarizeBatch(results.map(result => result.success
+                ? { ...result, success: false, error: 'Not written: other rows in the batch are invalid' }
+                : result));
+        }
+
+        // Records are laid out against the final header row, so a column added by
+        // a later record leaves earlier rows blank in that column
+        accepted.forEach(entry => {
+            if (entry.record) {
+                entry.values = mapRecords(headers, [entry.record], 'ignore').rows[0];
+            }
+        });
+
+        if (headers.length > originalHeaderCount) {
+            await this.setHeaderRow(spreadsheetId, sheetName, headers);
+        }
+
+        const chunkSize = parseInt(process.env.BATCH_CHUNK_SIZE) || 500;
+        const width = Math.max(...accepted.map(entry => entry.values.length));
+        const lastColumn = this.getColumnLetter(width - 1);
+
+        for (let start = 0; start < accepted.length; start += chunkSize) {
+            const chunk = accepted.slice(start, start + chunkSize);
+
+            try {
+                const response = await this.sheets.spreadsheets.values.append({
+                    spreadsheetId,
+                    range: `${sheetName}!A1:${lastColumn}1`,
+                    valueInputOption,
+                    resource: {
+                        values: chunk.map(entry => entry.values),
+                    },
+                });
+
+                const firstRow = this.parseRange(response.data.updates.updatedRange).row;
+                chunk.forEach((entry, i) => {
+                    const rowNumber = firstRow + i;
+                    results[entry.index].row = rowNumber;
+                    results[entry.index].range = `${sheetName}!A${rowNumber}:${this.getColumnLetter(entry.values.length - 1)}${rowNumber}`;
+                });
+            } catch (error) {
+                console.error('Error writing batch to Google Sheet:', error);
+
+                // Before anything is written, a failed call fails the batch (so an
+                // outage or quota error answers as one, and can be retried); after,
+                // throwing would hide the rows that made it, so they're reported
+                if (start === 0) {
+                    throw error;
+                }
+                const translated = translateGoogleError(error, { spreadsheetId, sheetName, clientEmail: this.clientEmail });
+                chunk.forEach(entry => {
+                    results[entry.index] = {
+                        index: entry.index,
+                        success: false,
+                        error: error.message,
+                        ...(translated ? { code: translated.code } : {})
+                    };
+                });
+            }
+        }
+
+        readCache.invalidate(spreadsheetId, sheetName);
+        return this.summarizeBatch(results);
+    }
+
+    summarizeBatch(results) {
+        const written = results.filter(result => result.success).length;
+
+        console.log(`Batch append: ${written} of ${results.length} row(s) written`);
+
+        return {
+            success: written === results.length,
+            total: results.length,
+            written,
+            failed: results.length - written,
+            results
+        };
+    }
+
+    // Overwrite only the named fields of an existing row (1-based, below the header).
+    // Returns the row as a header-keyed record after the update, and as it was
+    // before in `previous`.
+    async updateRecord(spreadsheetId, sheetName, rowNumber, fields, options = {}) {
+        this.assertInitialized();
+
+        const { valueInputOption = 'USER_ENTERED', unknownKeys } = options;
+
+        if (rowNumber < 2) {
+            throw new HttpError(400, 'Row 1 is the header row; update rows from 2 onwards');
+        }
+
+        const headers = await this.getHeaderRow(spreadsheetId, sheetName);
+        const resolved = resolveKeys(headers, Object.keys(fields), unknownKeys);
+
+        const updates = Object.entries(fields)
+            .map(([key, value]) => ({ column: findColumn(resolved.headers, key), value: toCellValue(value) }))
+            .filter(update => update.column !== -1);
+
+        if (updates.length === 0) {
+            throw new HttpError(400, 'No fields to update');
+        }
+
+        this.validateRecords(spreadsheetId, sheetName, [fields], { partial: true });
+
+        const existing = (await this.getSheetData(spreadsheetId, `${sheetName}!A${rowNumber}:${rowNumber}`)).values[0];
+        if (!existing || existing.length === 0) {
+            throw new HttpError(404, `Row ${rowNumber} is empty or does not exist`);
+        }
+
+        try {
+            if (resolved.newHeaders.length > 0) {
+                await this.setHeaderRow(spreadsheetId, sheetName, resolved.headers);
+            }
+
+            const response = await this.sheets.spreadsheets.values.batchUpdate({
+                spreadsheetId,
+                resource: {
+                    valueInputOption,
+                    data: updates.map(update => ({
+                        range: `${sheetName}!${this.getColumnLetter(update.column)}${rowNumber}`,
+                        values: [[update.value]]
+                    }))
+                }
+            });
+            readCache.invalidate(spreadsheetId, sheetName);
+
+            const row = resolved.headers.map((_, i) => existing[i] ?? '');
+            updates.forEach(update => {
+                row[update.column] = update.value;
+            });
+
+            const record = { _row: rowNumber };
+            resolved.headers.forEach((header, i) => {
+                record[header] = row[i];
+            });
+
+            const columns = updates.map(update => update.column);
+            const firstColumn = this.getColumnLetter(Math.min(...columns));
+            const lastColumn = this.getColumnLetter(Math.max(...columns));
+
+            console.log(`Successfully updated row ${rowNumber} in Google Sheet`);
+
+            return {
+                success: true,
+                row: rowNumber,
+                updatedCells: response.data.totalUpdatedCells,
+                updatedRange: `${sheetName}!${firstColumn}${rowNumber}:${lastColumn}${rowNumber}`,
+                data: record,
+                previous: { _row: rowNumber, ...rowToRecord(headers, existing) },
+                addedColumns: resolved.newHeaders,
+                ignoredKeys: resolved.ignoredKeys
+            };
+        } catch (error) {
+            console.error('Error updating Google Sheet:', error);
+            throw error;
+        }
+    }
+
+    // Update the row whose `keyColumn` value matches the record's, or append the
+    // record as a new row when there is no match. If several rows match, the
+    // first is updated and the others are reported as duplicates.
+    async upsertRecord(spreadsheetId, sheetName, keyColumn, record, options = {}) {
+        const { headers, records } = await this.getRecords(spreadsheetId, sheetName);
+
+        const keyIndex = findColumn(headers, keyColumn);
+        if (keyIndex === -1) {
+            throw new HttpError(400, `Unknown key column '${keyColumn}'`, { columns: headers });
+        }
+
+        const keyHeader = headers[keyIndex];
+        const recordKey = Object.keys(record).find(key => findColumn([keyHeader], key) === 0);
+        const keyValue = recordKey === undefined ? '' : toCellValue(record[recordKey]);
+
+        if (keyValue === '') {
+            throw new HttpError(400, `Data must include a value for the key column '${keyHeader}'`);
+        }
+
+        const matches = records.filter(existing => String(existing[keyHeader]) === String(keyValue));
+
+        if (matches.length === 0) {
+            const result = await this.appendRecords(spreadsheetId, sheetName, [record], options);
+            const rowNumber = this.parseRange(result.updatedRange).row;
+
+            // Report the new row as a record, like the update path does
+            const inserted = { _row: rowNumber };
+            headers.concat(result.addedColumns).forEach((header, i) => {
+                inserted[header] = result.data[0][i];
+            });
+
+            return { ...result, operation: 'inserted', row: rowNumber, data: inserted };
+        }
+
+        const result = await this.updateRecord(spreadsheetId, sheetName, matches[0]._row, record, options);
+        return {
+            ...result,
+            operation: 'updated',
+            duplicateRows: matches.slice(1).map(match => match._row)
+        };
+    }
+
+    // Check header-keyed records against the sheet's schema (schemas.js), if it has
+    // one. All bad fields are reported at once; with several records, each error
+    // carries the record's index.
+    validateRecords(spreadsheetId, sheetName, records, options = {}) {
+        const schema = getSchema(spreadsheetId, sheetName);
+        if (!schema) {
+            return;
+        }
+
+        const errors = records.flatMap((record, index) => validateRecord(schema, record, options)
+            .map(error => records.length > 1 ? { index, ...error } : error));
+
+        if (errors.length > 0) {
+            throw new SchemaValidationError(errors);
+        }
+    }
+
+    // Positional rows are validated by pairing them with the sheet's header row
+    async validateRows(spreadsheetId, sheetName, rows) {
+        if (!getSchema(spreadsheetId, sheetName)) {
+            return;
+        }
+
+        const headers = await this.getHeaderRow(spreadsheetId, sheetName);
+        this.validateRecords(spreadsheetId, sheetName, rows.map(row => rowToRecord(headers, row)));
+    }
+
+    // The sheet's first row, which object-mode writes and reads treat as column names
+    async getHeaderRow(spreadsheetId, sheetName, options = {}) {
+        const result = await this.getSheetData(spreadsheetId, `${sheetName}!1:1`, options);
+        return result.values[0] || [];
+    }
+
+    async setHeaderRow(spreadsheetId, sheetName, headers) {
+        this.assertInitialized();
+
+        await this.sheets.spreadsheets.values.update({
+            spreadsheetId,
+            range: `${sheetName}!A1:${this.getColumnLetter(headers.length - 1)}1`,
+            valueInputOption: 'RAW',
+            resource: {
+                values: [headers],
+            },
+        });
+        readCache.invalidate(spreadsheetId, sheetName);
+    }
+
+    // With `cache`, the read may be served from (and is stored in) readCache.js.
+    // Writes never read through the cache, so they always see the live sheet.
+    // valueRenderOption is Google's (FORMATTED_VALUE by default); reads that set it
+    // aren't cached, since the cache holds formatted values.
+    async getSheetData(spreadsheetId, range, { cache = false, valueRenderOption } = {}) {
+        this.assertInitialized();
+
+        const cacheable = cache && !valueRenderOption;
+        const cached = cacheable ? readCache.get(spreadsheetId, range) : null;
+        if (cached) {
+            return cached;
         }
 
         try {
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId,
                 range,
+                ...(valueRenderOption ? { valueRenderOption } : {})
             });
 
-            return {
+            const result = {
                 success: true,
                 values: response.data.values || [],
                 range: response.data.range
             };
+
+            if (cacheable) {
+                readCache.set(spreadsheetId, range, result);
+            }
+            return result;
         } catch (error) {
             console.error('Error reading from Google Sheet:', error);
             throw error;
         }
     }
 
-    async createSheet(spreadsheetId, sheetName, headers = []) {
-        if (!this.sheets) {
-            throw new Error('Google Sheets service not initialized. Call initialize() first.');
+    // Read a sheet and split off its header row. `range` is relative to the sheet
+    // (e.g. "A1:D20"); startRow/endRow are 1-based and used when no range is given.
+    // Without a range, every column is read.
+    async getRows(spreadsheetId, sheetName, options = {}) {
+        const { includeHeader = true } = options;
+
+        const result = await this.readSheet(spreadsheetId, sheetName, options);
+        const rows = result.values;
+
+        if (rows.length === 0) {
+            return {
+                headers: includeHeader ? [] : null,
+                data: [],
+                totalRows: 0,
+                range: result.range,
+                message: 'No data found'
+            };
+        }
+
+        return {
+            headers: includeHeader ? rows[0] : null,
+            data: includeHeader ? rows.slice(1) : rows,
+            totalRows: includeHeader ? rows.length - 1 : rows.length,
+            range: result.range
+        };
+    }
+
+    // Read a sheet as header-keyed records, each carrying its 1-based sheet row
+    // number as `_row`. Headers always come from row 1, even when the requested
+    // range starts further down. With includeHeader=false, columns are keyed by letter.
+    async getRecords(spreadsheetId, sheetName, options = {}) {
+        const { includeHeader = true } = options;
+
+        const result = await this.readSheet(spreadsheetId, sheetName, options);
+        const bounds = this.parseRange(result.range);
+
+        let rows = result.values;
+        let firstRow = bounds.row;
+        let headers;
+
+        if (!includeHeader) {
+            const width = Math.max(0, ...rows.map(row => row.length));
+            headers = Array.from({ length: width }, (_, i) => this.getColumnLetter(bounds.column + i));
+        } else if (bounds.row === 1) {
+            headers = rows[0] || [];
+            rows = rows.slice(1);
+            firstRow = 2;
+        } else {
+            headers = (await this.getHeaderRow(spreadsheetId, sheetName, { cache: options.cache })).slice(bounds.column, bounds.lastColumn + 1);
+        }
+
+        // Blank header cells, and cells past the last header, fall back to the
+        // column letter so no value is lost
+        const width = rows.reduce((widest, row) => Math.max(widest, row.length), headers.length);
+        headers = Array.from({ length: width }, (_, i) => headers[i] || this.getColumnLetter(bounds.column + i));
+
+        const records = [];
+        rows.forEach((row, i) => {
+            if (row.length === 0) {
+                return;
+            }
+            const record = { _row: firstRow + i };
+            headers.forEach((header, j) => {
+                record[header] = row[j] ?? '';
+            });
+            records.push(record);
+        });
+
+        return { headers, records, range: result.range };
+    }
+
+    // Every column of rows startRow to endRow, or else of the whole sheet (see readSheet)
+    buildRange(sheetName, { range = null, startRow = null, endRow = null } = {}) {
+        const sheet = `'${sheetName.replace(/'/g, "''")}'`;
+        if (range) {
+            return range.includes('!') ? range : `${sheetName}!${range}`;
+        } else if (startRow !== null && endRow !== null) {
+            return `${sheet}!${startRow}:${endRow}`;
+        }
+        return sheet;
+    }
+
+    // The read behind getRows and getRecords. A1 can't say "every column from row
+    // N down", so a startRow without an endRow reads the whole sheet and drops
+    // the rows above it.
+    async readSheet(spreadsheetId, sheetName, options) {
+        const { range = null, startRow = null, endRow = null } = options;
+        const result = await this.getSheetData(spreadsheetId, this.buildRange(sheetName, options), { cache: options.cache });
+
+        if (range || startRow === null || endRow !== null || startRow <= 1) {
+            return result;
+        }
+        return {
+            ...result,
+            values: result.values.slice(startRow - 1),
+            range: result.range.replace(/!(\$?[A-Z]+)\$?\d+/i, `!$1${startRow}`)
+        };
+    }
+
+    // First row (1-based) and first/last columns (0-based) of an A1 range like "Sheet1!B5:D20"
+    parseRange(range) {
+        const cells = range.slice(range.lastIndexOf('!') + 1).toUpperCase();
+        const [startCell, endCell] = cells.split(':');
+        const start = startCell.match(/^\$?([A-Z]+)?\$?(\d+)?/);
+        const end = (endCell || startCell).match(/^\$?([A-Z]+)?/);
+
+        const toIndex = letters => {
+            let column = 0;
+            for (const letter of letters) {
+                column = column * 26 + (letter.charCodeAt(0) - 64);
+            }
+            return column - 1;
+        };
+
+        const column = toIndex(start[1] || 'A');
+        return {
+            row: start[2] ? parseInt(start[2]) : 1,
+            column,
+            lastColumn: end[1] ? toIndex(end[1]) : (start[1] ? column : Infinity)
+        };
+    }
+
+    // A sheet's properties (sheetId, index, gridProperties, ...) from spreadsheets.get
+    async getSheetProperties(spreadsheetId, sheetName) {
+        this.assertInitialized();
+
+        const response = await this.sheets.spreadsheets.get({ spreadsheetId, fields: 'sheets.properties' });
+        const sheet = response.data.sheets.find(s => s.properties.title === sheetName);
+
+        if (!sheet) {
+            throw new GoogleApiError(404, 'SHEET_NOT_FOUND', `No sheet named "${sheetName}" in spreadsheet ${spreadsheetId}`, {
+                hint: 'Check the sheetName (sheet names are case-sensitive); GET /sheets lists them'
+            });
+        }
+
+        return sheet.properties;
+    }
+
+    // Look up the numeric sheet ID that batchUpdate requests need
+    async getSheetId(spreadsheetId, sheetName) {
+        return (await this.getSheetProperties(spreadsheetId, sheetName)).sheetId;
+    }
+
+    // The first row of each named sheet, in one spreadsheets.get. Returns a Map of
+    // sheet name to header values.
+    async getHeaderRows(spreadsheetId, sheetNames) {
+        this.assertInitialized();
+
+        if (sheetNames.length === 0) {
+            return new Map();
         }
 
+        const response = await this.sheets.spreadsheets.get({
+            spreadsheetId,
+            ranges: sheetNames.map(sheetName => `${sheetName}!1:1`),
+            fields: 'sheets(properties.title,data.rowData.values.formattedValue)'
+        });
+
+        return new Map(response.data.sheets.map(sheet => {
+            const cells = sheet.data?.[0]?.rowData?.[0]?.values || [];
+            return [sheet.properties.title, cells.map(cell => cell.formattedValue ?? '')];
+        }));
+    }
+
+    describeSheet(properties, headers = []) {
+        const grid = properties.gridProperties || {};
+        return {
+            sheetId: properties.sheetId,
+            sheetName: properties.title,
+            index: properties.index,
+            rowCount: grid.rowCount,
+            columnCount: grid.columnCount,
+            frozenRowCount: grid.frozenRowCount || 0,
+            frozenColumnCount: grid.frozenColumnCount || 0,
+            headers
+        };
+    }
+
+    // Every sheet (tab) of a spreadsheet with its grid size, frozen rows and header row
+    async listSheets(spreadsheetId) {
+        this.assertInitialized();
+
+        const response = await this.sheets.spreadsheets.get({
+            spreadsheetId,
+            fields: 'properties.title,sheets.properties'
+        });
+        const properties = response.data.sheets.map(sheet => sheet.properties);
+        const headers = await this.getHeaderRows(spreadsheetId, properties.map(sheet => sheet.title));
+
+        return {
+            title: response.data.properties.title,
+            sheets: properties.map(sheet => this.describeSheet(sheet, headers.get(sheet.title)))
+        };
+    }
+
+    async getSheet(spreadsheetId, sheetName) {
+        const properties = await this.getSheetProperties(spreadsheetId, sheetName);
+        const headers = await this.getHeaderRows(spreadsheetId, [sheetName]);
+        return this.describeSheet(properties, headers.get(sheetName));
+    }
+
+    async renameSheet(spreadsheetId, sheetName, newName) {
+        const sheetId = await this.getSheetId(spreadsheetId, sheetName);
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+                requests: [{ updateSheetProperties: { properties: { sheetId, title: newName }, fields: 'title' } }]
+            }
+        });
+        readCache.invalidate(spreadsheetId, sheetName);
+        readCache.invalidate(spreadsheetId, newName);
+
+        return this.getSheet(spreadsheetId, newName);
+    }
+
+    // Copy a sheet with its values and formatting. Without a newName Google
+    // names it "Copy of <sheetName>"; without an index it goes right after the original.
+    async duplicateSheet(spreadsheetId, sheetName, { newName, index } = {}) {
+        const source = await this.getSheetProperties(spreadsheetId, sheetName);
+
+        const response = await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+                requests: [{
+                    duplicateSheet: {
+                        sourceSheetId: source.sheetId,
+                        newSheetName: newName,
+                        insertSheetIndex: index ?? source.index + 1
+                    }
+                }]
+            }
+        });
+        const { properties } = response.data.replies[0].duplicateSheet;
+        readCache.invalidate(spreadsheetId, properties.title);
+
+        const headers = await this.getHeaderRows(spreadsheetId, [properties.title]);
+        return this.describeSheet(properties, headers.get(properties.title));
+    }
+
+    async deleteSheet(spreadsheetId, sheetName) {
+        const sheetId = await this.getSheetId(spreadsheetId, sheetName);
+
+        await this.sheets.spreadsheets.batchUpdate({
+            spreadsheetId,
+            resource: {
+                requests: [{ deleteSheet: { sheetId } }]
+            }
+        });
+        readCache.invalidate(spreadsheetId, sheetName);
+
+        return { sheetId, sheetName };
+    }
+
+    // The header row and the values of rows by 1-based row number, in one
+    // spreadsheets.get: { headers, rows, cells }, where rows[i] is rowNumbers[i]'s
+    // values as displayed ([] if empty) and cells[i] the same cells' userEnteredValue
+    // ({ formulaValue }, { stringValue }, { numberValue }, { boolValue } or {}),
+    // which tells a formula from text that looks like one
+    async getRowValues(spreadsheetId, sheetName, rowNumbers) {
+        this.assertInitialized();
+
+        const response = await this.sheets.spreadsheets.get({
+            spreadsheetId,
+            ranges: [`${sheetName}!1:1`, ...rowNumbers.map(rowNumber => `${sheetName}!A${rowNumber}:${rowNumber}`)],
+            fields: 'sheets.data(startRow,rowData.values(formattedValue,userEnteredValue))'
+        });
+
+        // Each range is its own GridData; Google leaves out startRow 0, and rows
+        // and cells past the last value
+        const byRow = new Map();
+        (response.data.sheets[0].data || []).forEach(grid => {
+            (grid.rowData || []).forEach((row, i) => byRow.set((grid.startRow || 0) + i + 1, row.values || []));
+        });
+        const cellsOf = rowNumber => {
+            const cells = byRow.get(rowNumber) || [];
+            let end = cells.length;
+            while (end > 0 && cells[end - 1].formattedValue === undefined && !cells[end - 1].userEnteredValue) {
+                end--;
+            }
+            return cells.slice(0, end);
+        };
+
+        return {
+            headers: cellsOf(1).map(cell => cell.formattedValue ?? ''),
+            rows: rowNumbers.map(rowNumber => cellsOf(rowNumber).map(cell => cell.formattedValue ?? '')),
+            cells: rowNumbers.map(rowNumber => cellsOf(rowNumber).map(cell => cell.userEnteredValue || {}))
+        };
+    }
+
+    // Delete rows by 1-based row number in a single batchUpdate
+    async deleteRows(spreadsheetId, sheetName, rowNumbers) {
+        this.assertInitialized();
+
         try {
-            // First, create the sheet
-            const addSheetRequest = {
+            const sheetId = await this.getSheetId(spreadsheetId, sheetName);
+
+            // Delete from the bottom up so earlier deletions don't shift later ones
+            const sortedRows = [...new Set(rowNumbers)].sort((a, b) => b - a);
+
+            const deleteRequests = sortedRows.map(rowNumber => ({
+                deleteDimension: {
+                    range: {
+                        sheetId,
+                        dimension: 'ROWS',
+                        startIndex: rowNumber - 1, // Convert to 0-based index
+                        endIndex: rowNumber // End index is exclusive
+                    }
+                }
+            }));
+
+            await this.sheets.spreadsheets.batchUpdate({
                 spreadsheetId,
                 resource: {
-                    requests: [{
-                        addSheet: {
-                            properties: {
-                                title: sheetName
-                            }
-                        }
-                    }]
+                    requests: deleteRequests
                 }
+            });
+            readCache.invalidate(spreadsheetId, sheetName);
+
+            return {
+                success: true,
+                deletedCount: sortedRows.length,
+                deletedRows: sortedRows
             };
+        } catch (error) {
+            console.error('Error deleting rows from Google Sheet:', error);
+            throw error;
+        }
+    }
 
-            await this.sheets.spreadsheets.batchUpdate(addSheetRequest);
+    // Create a sheet with its header row, and whatever frozen rows, formatting,
+    // validation and protection `spec` asks for (sheetProvisioning.js), in one
+    // batchUpdate: if any part is rejected, no sheet is created
+    async createSheet(spreadsheetId, sheetName, spec = {}) {
+        this.assertInitialized();
 
-            // If headers are provided, add them
-            if (headers.length > 0) {
-                await this.appendRow(spreadsheetId, sheetName, headers);
-            }
+        try {
+            const requests = buildSheetRequests(sheetName, spec);
+
+            const response = await this.sheets.spreadsheets.batchUpdate({
+                spreadsheetId,
+                resource: { requests }
+            });
+            const { properties } = response.data.replies[0].addSheet;
+            readCache.invalidate(spreadsheetId, sheetName);
 
-            return { success: true, message: `Sheet '${sheetName}' created successfully` };
+            return {
+                success: true,
+                sheetId: properties.sheetId,
+                sheetName: properties.title,
+                message: `Sheet '${sheetName}' created successfully`
+            };
         } catch (error) {
             console.error('Error creating sheet:', error);
             throw error;
         }
     }
 
+    // Create the sheet as `spec` describes unless it already exists. Resolves to
+    // true when it was created.
+    async ensureSheet(spreadsheetId, sheetName, spec = {}) {
+        try {
+            await this.getSheetProperties(spreadsheetId, sheetName);
+            return false;
+        } catch (error) {
+            if (googleErrorCode(error) !== 'SHEET_NOT_FOUND') {
+                throw error;
+            }
+        }
+
+        try {
+            await this.createSheet(spreadsheetId, sheetName, spec);
+            return true;
+        } catch (error) {
+            // Another request created it first
+            if (googleErrorCode(error) === 'SHEET_EXISTS') {
+                return false;
+            }
+            throw error;
+        }
+    }
+
+    assertInitialized() {
+        if (!this.sheets) {
+            throw new HttpError(503, 'Google Sheets service not initialized. Call initialize() first.');
+        }
+    }
+
+    // Insert a timestamp into a positional row (0=beginning, -1=end, number=specific position)
+    insertTimestamp(rowData, timestampColumn, timestamp) {
+        if (timestampColumn === 0) {
+            rowData.unshift(timestamp);
+        } else if (timestampColumn === -1) {
+            rowData.push(timestamp);
+        } else {
+            rowData.splice(timestampColumn, 0, timestamp);
+        }
+        return rowData;
+    }
+
+    // Format the current time in the given timezone (default: Chicago)
+    formatTimestamp(timezone = 'America/Chicago') {
+        return new Date().toLocaleString('en-US', {
+            timeZone: timezone,
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+            hour12: false
+        });
+    }
+
     // Helper method to convert column number to letter (A, B, C, ...)
     getColumnLetter(columnNumber) {
         let columnName = '';
@@ -0,0 +1,171 @@
+const { authorize, extractApiKey } = require('./apiKeys');
+const { loadServiceAccounts, serviceAccountFor, getSheetsService } = require('./serviceAccounts');
+const { loadForms } = require('./forms');
+const { loadHooks } = require('./webhooks');
+const { loadMapping } = require('./shopifyWebhook');
+const { GoogleApiError, translateGoogleError } = require('./googleErrors');
+const rateLimit = require('./rateLimit');
+
+// GET /health/live answers as long as the process does. GET /health/ready checks
+// that each service account can get a token and that every spreadsheet the
+// deployment is configured to use (GOOGLE_SHEET_ID, service account, form,
+// webhook and Shopify settings) can be read, and with HEALTH_CHECK_WRITE=true
+// written, and answers 503 when any check fails. Results are cached for
+// HEALTH_READY_CACHE seconds (default 10) so frequent probes don't use up the
+// Google quota.
+
+const SERVICE = 'Google Sheets API Proxy';
+const VERSION = '1.0.0';
+
+let cached = null;
+let running = null;
+
+function liveness() {
+    return {
+        status: 200,
+        body: {
+            status: 'alive',
+            service: SERVICE,
+            version: VERSION,
+            uptimeSeconds: Math.round(process.uptime()),
+            timestamp: new Date().toISOString()
+        }
+    };
+}
+
+function configuredSpreadsheets() {
+    const ids = [
+        process.env.GOOGLE_SHEET_ID,
+        ...loadServiceAccounts().owners.keys(),
+        ...loadForms().map(form => form.spreadsheetId),
+        ...loadHooks().map(hook => hook.spreadsheetId),
+        loadMapping().spreadsheetId
+    ];
+    return [...new Set(ids.filter(Boolean))];
+}
+
+// A check that hangs would hang the probe, so each one gets HEALTH_CHECK_TIMEOUT ms (default 5000)
+function withTimeout(promise) {
+    const timeoutMs = parseInt(process.env.HEALTH_CHECK_TIMEOUT) || 5000;
+    let timer;
+    const timedOut = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`No answer within ${timeoutMs}ms`)), timeoutMs);
+    });
+    return Promise.race([promise, timedOut]).finally(() => clearTimeout(timer));
+}
+
+async function timed(check) {
+    const startedAt = Date.now();
+    try {
+        const details = await withTimeout(check());
+        return { status: 'ok', ...details, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        const google = error instanceof GoogleApiError ? { code: error.code, hint: error.details.hint } : {};
+        return { status: 'error', error: error.message, ...google, latencyMs: Date.now() - startedAt };
+    }
+}
+
+async function checkServiceAccount(name) {
+    return timed(async () => {
+        const service = await getSheetsService({ serviceAccount: name });
+        await service.checkToken();
+        return { clientEmail: service.clientEmail };
+    });
+}
+
+async function checkSpreadsheet(spreadsheetId) {
+    const serviceAccount = serviceAccountFor({ spreadsheetId });
+    const result = await timed(async () => {
+        const service = await getSheetsService({ serviceAccount });
+        const write = process.env.HEALTH_CHECK_WRITE === 'true';
+        const access = await service.checkSpreadsheetAccess(spreadsheetId, { write }).catch(error => {
+            throw translateGoogleError(error, { spreadsheetId, clientEmail: service.clientEmail }) || error;
+        });
+        if (access.writable === false) {
+            throw new GoogleApiError(403, 'SHEET_NOT_SHARED', `Read-only access to "${access.title}"`, {
+                hint: `Share "${access.title}" with ${service.clientEmail} as an Editor`
+            });
+        }
+        return access;
+    });
+    return { serviceAccount, ...result };
+}
+
+async function runChecks() {
+    const accounts = [...loadServiceAccounts().accounts.keys()];
+    const spreadsheets = configuredSpreadsheets();
+
+    const results = await Promise.all([
+        ...accounts.map(async name => [`serviceAccount:${name}`, await checkServiceAccount(name)]),
+        ...spreadsheets.map(async id => [`spreadsheet:${id}`, await checkSpreadsheet(id)])
+    ]);
+
+    const checks = Object.fromEntries(results);
+    const ready = Object.values(checks).every(check => check.status === 'ok');
+    return { ready, checks, checkedAt: new Date().toISOString() };
+}
+
+// Concurrent probes share one run
+async function readinessResult() {
+    const seconds = parseInt(process.env.HEALTH_READY_CACHE);
+    const ttlMs = (Number.isNaN(seconds) ? 10 : seconds) * 1000;
+    if (cached && Date.now() - Date.parse(cached.checkedAt) < ttlMs) {
+        return cached;
+    }
+    if (!running) {
+        running = runChecks()
+            .then(result => {
+                cached = result;
+                return result;
+            })
+            .finally(() => {
+                running = null;
+            });
+    }
+    return running;
+}
+
+// Spreadsheet IDs, account emails and errors are only shown to admin keys (or
+// with authentication off); anyone else gets the status of each check. Which
+// answer a key gets tells whether it is valid, so invalid keys count against
+// the IP's failed attempts like on any other route (rateLimit.js).
+async function showDetails(request) {
+    if (!(await rateLimit.checkAuthAttempts(request.ip)).allowed) {
+        return false;
+    }
+    try {
+        authorize(request.headers, { action: 'admin' });
+        return true;
+    } catch (error) {
+        if (error.statusCode === 401 && extractApiKey(request.headers)) {
+            await rateLimit.recordAuthFailure(request.ip);
+        }
+        return false;
+    }
+}
+
+function summarize(checks) {
+    let spreadsheetCount = 0;
+    return Object.fromEntries(Object.entries(checks).map(([name, check]) => {
+        const label = name.startsWith('spreadsheet:') ? `spreadsheet:${++spreadsheetCount}` : name;
+        return [label, { status: check.status }];
+    }));
+}
+
+async function readiness(request) {
+    const result = await readinessResult();
+
+    return {
+        status: result.ready ? 200 : 503,
+        body: {
+            status: result.ready ? 'ready' : 'not ready',
+            service: SERVICE,
+            version: VERSION,
+            checkedAt: result.checkedAt,
+            checks: (await showDetails(request)) ? result.checks : summarize(result.checks)
+        },
+        headers: { 'Cache-Control': 'no-store' }
+    };
+}
+
+module.exports = { SERVICE, VERSION, liveness, readiness };
@@ -0,0 +1,222 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError } = require('./errors');
+
+// Idempotency-Key support for writes that would otherwise be repeated by a
+// client retrying after a timeout (routes marked `idempotent` in routes.js).
+// The first request with a key is processed and its response remembered for
+// IDEMPOTENCY_TTL seconds (default: 86400); a repeat with the same key and the
+// same request gets that response back with `Idempotent-Replayed: true` and
+// writes nothing. Keys are per API key and route.
+//
+//   400 the key is longer than 255 characters
+//   409 the first request with the key is still being processed
+//   422 the key was already used with a different request
+//
+// Responses of 5xx and 429 aren't remembered, so those can be retried with the
+// same key.
+//
+// Keys live in a store: { get(key), set(key, record, ttlMs), delete(key) }, any
+// of which may return a promise. IDEMPOTENCY_STORE picks 'memory' (per
+// process), 'file' (IDEMPOTENCY_FILE, default: idempotency-keys.json, shared by
+// every process on the machine) or 'blobs' (Netlify Blobs, store
+// IDEMPOTENCY_BLOBS_STORE, default: idempotency-keys, shared by every function
+// invocation). The default is 'memory', or 'blobs' on Netlify. setStore() plugs
+// in anything else. Reads and writes aren't locked, so two identical requests
+// arriving at the same moment may both be processed.
+
+const HEADER = 'idempotency-key';
+const MAX_KEY_LENGTH = 255;
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// How long a request that never finished (the process died) holds its key
+const PENDING_TTL_MS = 2 * 60 * 1000;
+
+function createMemoryStore() {
+    const records = new Map();
+
+    return {
+        get: key => {
+            const entry = records.get(key);
+            if (entry && entry.expiresAt <= Date.now()) {
+                records.delete(key);
+                return null;
+            }
+            return entry ? entry.record : null;
+        },
+        set: (key, record, ttlMs) => {
+            records.set(key, { record, expiresAt: Date.now() + ttlMs });
+        },
+        delete: key => {
+            records.delete(key);
+        }
+    };
+}
+
+function createFileStore(file) {
+    const filePath = path.resolve(file);
+
+    function load() {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Expired keys are dropped whenever the file is written
+    function save(records) {
+        const now = Date.now();
+        Object.keys(records).forEach(key => {
+            if (records[key].expiresAt <= now) {
+                delete records[key];
+            }
+        });
+
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(records));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    return {
+        get: key => {
+            const entry = load()[key];
+            return entry && entry.expiresAt > Date.now() ? entry.record : null;
+        },
+        set: (key, record, ttlMs) => {
+            const records = load();
+            records[key] = { record, expiresAt: Date.now() + ttlMs };
+            save(records);
+        },
+        delete: key => {
+            const records = load();
+            if (records[key]) {
+                delete records[key];
+                save(records);
+            }
+        }
+    };
+}
+
+// Netlify Blobs has no expiry of its own: expired keys are ignored, and
+// overwritten when the key is used again. Lambda-style functions can't read with
+// strong consistency, so a key can take up to a minute to be seen at every edge.
+function createBlobsStore(name) {
+    const { getStore } = require('@netlify/blobs');
+    const blobs = getStore(name);
+
+    return {
+        get: async key => {
+            const entry = await blobs.get(key, { type: 'json' });
+            return entry && entry.expiresAt > Date.now() ? entry.record : null;
+        },
+        set: (key, record, ttlMs) => blobs.setJSON(key, { record, expiresAt: Date.now() + ttlMs }),
+        delete: key => blobs.delete(key)
+    };
+}
+
+const STORES = {
+    memory: () => createMemoryStore(),
+    file: () => createFileStore(process.env.IDEMPOTENCY_FILE || 'idempotency-keys.json'),
+    blobs: () => createBlobsStore(process.env.IDEMPOTENCY_BLOBS_STORE || 'idempotency-keys')
+};
+
+let store = null;
+let defaultStore = 'memory';
+
+function getStore() {
+    if (!store) {
+        const name = process.env.IDEMPOTENCY_STORE || defaultStore;
+        if (!STORES[name]) {
+            throw new Error(`Unknown IDEMPOTENCY_STORE '${name}'. Use one of: ${Object.keys(STORES).join(', ')}`);
+        }
+        store = STORES[name]();
+    }
+    return store;
+}
+
+function setStore(customStore) {
+    store = customStore;
+}
+
+// Netlify functions in Lambda compatibility mode (netlifyAdapter.js) hand Netlify
+// Blobs its credentials with each event
+function connectNetlify(event) {
+    defaultStore = 'blobs';
+    if ((process.env.IDEMPOTENCY_STORE || defaultStore) === 'blobs' && event.blobs) {
+        require('@netlify/blobs').connectLambda(event);
+    }
+}
+
+function ttlMs() {
+    const seconds = parseInt(process.env.IDEMPOTENCY_TTL);
+    return (Number.isNaN(seconds) ? DEFAULT_TTL_SECONDS : Math.max(1, seconds)) * 1000;
+}
+
+function hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// Look up the request's Idempotency-Key. Returns null when the request has none,
+// { replay } with the remembered response for a repeat, or { key, fingerprint }
+// once the key is claimed for this request; pass that to settle() with the response.
+async function claim(route, request) {
+    const headerKey = Object.keys(request.headers).find(name => name.toLowerCase() === HEADER);
+    const idempotencyKey = headerKey ? String(request.headers[headerKey]).trim() : '';
+    if (!idempotencyKey) {
+        return null;
+    }
+
+    if (idempotencyKey.length > MAX_KEY_LENGTH) {
+        throw new HttpError(400, `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`);
+    }
+
+    const key = hash([request.apiKey ? request.apiKey.id : null, route.method, route.path, idempotencyKey]);
+    const fingerprint = hash([request.params, request.query, request.body]);
+    const record = await getStore().get(key);
+
+    if (record && record.fingerprint !== fingerprint) {
+        throw new HttpError(422, 'This Idempotency-Key was already used for a different request', {
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            hint: 'Use a new Idempotency-Key for each new request'
+        });
+    }
+
+    if (record && record.status === 'pending') {
+        throw new HttpError(409, 'A request with this Idempotency-Key is still being processed', {
+            code: 'IDEMPOTENCY_KEY_IN_USE',
+            hint: 'Retry once the first request has finished'
+        });
+    }
+
+    if (record) {
+        return {
+            replay: {
+                status: record.response.status,
+                body: record.response.body,
+                headers: { ...record.response.headers, 'Idempotent-Replayed': 'true' }
+            }
+        };
+    }
+
+    await getStore().set(key, { status: 'pending', fingerprint }, PENDING_TTL_MS);
+    return { key, fingerprint };
+}
+
+// Remember the response for the claimed key, or release the key when the
+// request should be retried
+async function settle(claimed, { status, body, headers }) {
+    if (status >= 500 || status === 429) {
+        await getStore().delete(claimed.key);
+        return;
+    }
+
+    await getStore().set(claimed.key, {
+        status: 'done',
+        fingerprint: claimed.fingerprint,
+        response: { status, body, headers: headers || {} }
+    }, ttlMs());
+}
+
+module.exports = { STORES, createMemoryStore, createFileStore, createBlobsStore, setStore, connectNetlify, claim, settle };
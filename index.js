@@ -1,14 +1,37 @@
 require('dotenv').config()
 const fs = require('fs');
+const path = require('path');
 const restify = require('restify');
-const axios = require('axios').default;
-const crypto = require('crypto');
 
-const GoogleSheetsService = require('./googleSheetsService');
+const { isAuthEnabled } = require('./apiKeys');
+const { routes, handleRequest, handlePreflight, drainOutbox } = require('./routes');
+const { loadSchemas } = require('./schemas');
+const { loadMapping } = require('./shopifyWebhook');
+const { loadHooks } = require('./webhooks');
+const { loadForms } = require('./forms');
+const outbox = require('./outbox');
+const { loadLimits } = require('./rateLimit');
+const { loadCors } = require('./cors');
+const { loadOAuth } = require('./oauth');
+const { loadAudit } = require('./audit');
+const { loadServiceAccounts, getSheetsService } = require('./serviceAccounts');
+const { isLocalBackend, getLocalSheets } = require('./localSheets');
+const { checkDocument } = require('./openapi');
+const { checkSchemas } = require('./requestValidation');
+
+// Writes that fail because Google is unreachable are queued here and replayed
+outbox.enable();
+
+// Clients are initialized on first use (serviceAccounts.js) and a failed
+// initialization is retried on the next request or replay, which it pauses
+// rather than failing the write.
+function replayOutbox() {
+    drainOutbox(getSheetsService).catch(error => console.error('Outbox replay failed:', error.message));
+}
 
-// Initialize Google Sheets service
-const sheetsService = new GoogleSheetsService();
-sheetsService.initialize().catch(console.error);
+// Initialize the default service account up front
+getSheetsService().then(replayOutbox).catch(error => console.error(error.message));
+setInterval(replayOutbox, parseInt(process.env.OUTBOX_RETRY_INTERVAL) || 15000).unref();
 
 // Configuration validation
 function validateConfig() {
@@ -19,124 +42,128 @@ function validateConfig() {
         console.error('Missing required environment variables:', missing);
         process.exit(1);
     }
-}
 
-validateConfig();
-
-// Generic function to get entries from a sheet
-async function getEntries(req, res, next) {
     try {
-        const { spreadsheetId, sheetName, range } = req.query;
-
-        if (!spreadsheetId || !sheetName) {
-            return res.send(400, {
-                error: 'Missing required parameters: spreadsheetId and sheetName'
-            });
+        if (isLocalBackend()) {
+            getLocalSheets();
+            console.log(`Using the local ${process.env.SHEETS_BACKEND} Sheets backend; nothing is sent to Google`);
         }
+    } catch (error) {
+        console.error('Invalid local Sheets backend:', error.message);
+        process.exit(1);
+    }
 
-        const targetRange = range || `${sheetName}!A:Z`;
-        const result = await sheetsService.getSheetData(spreadsheetId, targetRange);
+    try {
+        checkDocument(routes);
+        checkSchemas(routes);
+    } catch (error) {
+        console.error('Invalid OpenAPI document:', error.message);
+        process.exit(1);
+    }
 
-        res.send({
-            success: true,
-            data: result.values,
-            range: result.range
-        });
+    try {
+        const { accounts } = loadServiceAccounts();
+        console.log(`Loaded ${accounts.size} service account(s)`);
     } catch (error) {
-        console.error('Error getting entries:', error);
-        res.send(500, {
-            error: 'Failed to retrieve entries',
-            message: error.message
-        });
+        console.error('Invalid service accounts:', error.message);
+        process.exit(1);
     }
-    next();
-}
 
-// Generic function to create/add an entry to a sheet
-async function createEntry(req, res, next) {
     try {
-        const {
-            spreadsheetId = process.env.GOOGLE_SHEET_ID,
-            sheetName = process.env.GOOGLE_SHEET_SHEET || 'Sheet1',
-            data,
-            options = {}
-        } = req.body;
-
-        if (!spreadsheetId || !sheetName) {
-            return res.send(400, {
-                error: 'Missing required parameters: spreadsheetId and sheetName'
-            });
-        }
+        const schemas = loadSchemas();
+        console.log(`Loaded ${schemas.length} sheet schema(s)`);
+    } catch (error) {
+        console.error('Invalid sheet schemas:', error.message);
+        process.exit(1);
+    }
 
-        if (!data || !Array.isArray(data)) {
-            return res.send(400, {
-                error: 'Data must be provided as an array'
-            });
-        }
+    try {
+        loadMapping();
+    } catch (error) {
+        console.error('Invalid Shopify column mapping:', error.message);
+        process.exit(1);
+    }
 
-        const result = await sheetsService.appendRow(spreadsheetId, sheetName, data, options);
+    try {
+        const hooks = loadHooks();
+        console.log(`Loaded ${hooks.length} webhook(s)`);
+    } catch (error) {
+        console.error('Invalid webhook definitions:', error.message);
+        process.exit(1);
+    }
 
-        res.send({
-            success: true,
-            message: 'Entry added successfully',
-            updatedCells: result.updatedCells,
-            updatedRange: result.updatedRange
-        });
+    try {
+        loadLimits();
     } catch (error) {
-        console.error('Error creating entry:', error);
-        res.send(500, {
-            error: 'Failed to create entry',
-            message: error.message
-        });
+        console.error('Invalid rate limits:', error.message);
+        process.exit(1);
     }
-    next();
-}
 
-// Function to create a new sheet
-async function createSheet(req, res, next) {
     try {
-        const {
-            spreadsheetId = process.env.GOOGLE_SHEET_ID,
-            sheetName,
-            headers = []
-        } = req.body;
-
-        if (!spreadsheetId || !sheetName) {
-            return res.send(400, {
-                error: 'Missing required parameters: spreadsheetId and sheetName'
-            });
+        loadCors();
+    } catch (error) {
+        console.error('Invalid CORS settings:', error.message);
+        process.exit(1);
+    }
+
+    try {
+        if (loadOAuth()) {
+            console.log('Linking Google accounts is enabled (GET /oauth/start)');
         }
+    } catch (error) {
+        console.error('Invalid OAuth settings:', error.message);
+        process.exit(1);
+    }
 
-        const result = await sheetsService.createSheet(spreadsheetId, sheetName, headers);
+    try {
+        const forms = loadForms();
+        console.log(`Loaded ${forms.length} form(s)`);
+    } catch (error) {
+        console.error('Invalid form definitions:', error.message);
+        process.exit(1);
+    }
 
-        res.send({
-            success: true,
-            message: result.message
-        });
+    try {
+        console.log(`Audit log: ${loadAudit()}`);
     } catch (error) {
-        console.error('Error creating sheet:', error);
-        res.send(500, {
-            error: 'Failed to create sheet',
-            message: error.message
-        });
+        console.error('Invalid audit log settings:', error.message);
+        process.exit(1);
     }
-    next();
 }
 
-function oauthRedirect(req, res, next) {
-    const code = req.query.code
-    res.send(`OAuth Code: ${code}`)
-    next()
+validateConfig();
+
+// restify names its DELETE method `del`
+const restifyMethods = { GET: 'get', POST: 'post', PUT: 'put', PATCH: 'patch', DELETE: 'del' };
+
+// Behind a load balancer or reverse proxy, set TRUST_PROXY=true so rate limits
+// apply to the client's address from X-Forwarded-For rather than the proxy's
+function clientIp(req) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (process.env.TRUST_PROXY === 'true' && forwarded) {
+        return forwarded.split(',')[0].trim();
+    }
+    return req.socket.remoteAddress;
 }
 
-// Health check endpoint
-function healthCheck(req, res, next) {
-    res.send({
-        status: 'healthy',
-        service: 'Google Sheets API Proxy',
-        timestamp: new Date().toISOString()
-    });
-    next();
+// Adapt a shared route (routes.js) to a restify handler
+function toRestifyHandler(route) {
+    return async function (req, res) {
+        const result = await handleRequest(route, {
+            method: req.method,
+            params: req.params || {},
+            query: req.query || {},
+            body: req.body || {},
+            rawBody: req.rawBody,
+            headers: req.headers,
+            ip: clientIp(req)
+        }, getSheetsService);
+
+        if (result.headers) {
+            res.set(result.headers);
+        }
+        res.send(result.status, result.body);
+    };
 }
 
 // Determine if we're in development mode
@@ -163,49 +190,54 @@ if (isDev) {
     }
 }
 
-server.use(restify.plugins.bodyParser({ mapParams: false }));
+// Form posts are parsed too (POST /forms/:formId). Uploaded files are ignored:
+// without a handler consuming them, formidable never writes them to disk.
+server.use(restify.plugins.bodyParser({
+    mapParams: false,
+    multipartFileHandler: () => {}
+}));
 server.use(restify.plugins.queryParser());
 
-// Add CORS support
-server.use(function(req, res, next) {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-
-    if (req.method === 'OPTIONS') {
-        res.send(200);
-        return next(false);
+// CORS preflight. This runs before routing, since restify would otherwise answer
+// OPTIONS with 405; CORS headers on actual responses come from handleRequest.
+server.pre(function(req, res, next) {
+    if (req.method !== 'OPTIONS') {
+        return next();
     }
 
-    return next();
+    const result = handlePreflight(req.getPath(), {
+        headers: req.headers,
+        query: Object.fromEntries(new URLSearchParams(req.getQuery() || ''))
+    });
+
+    if (result.headers) {
+        res.set(result.headers);
+    }
+    res.send(result.status, result.body);
+    return next(false);
 });
 
-// Routes
-server.get('/health', healthCheck);
-server.get('/oauth', oauthRedirect);
-server.get('/', function (req, res, next) {
-    res.send({
-        service: 'Google Sheets API Proxy',
-        version: '1.0.0',
-        endpoints: {
-            'GET /health': 'Health check',
-            'GET /entries': 'Get entries from a sheet (query params: spreadsheetId, sheetName, range)',
-            'POST /entries': 'Add entry to a sheet (body: { spreadsheetId, sheetName, data, options })',
-            'POST /sheets': 'Create a new sheet (body: { spreadsheetId, sheetName, headers })'
-        }
+// The API explorer, rendering GET /openapi.json (on Netlify it is the site's index page)
+server.get('/docs', function (req, res, next) {
+    res.sendRaw(200, fs.readFileSync(path.join(__dirname, 'public', 'index.html')), {
+        'Content-Type': 'text/html; charset=utf-8'
     });
     next();
 });
-server.get('/entries', getEntries);
-server.post('/entries', createEntry);
-server.post('/sheets', createSheet);
-// server.post('/shopify-order', handleShopifyOrder);
+
+// Routes
+routes.forEach(route => {
+    server[restifyMethods[route.method]](route.path, toRestifyHandler(route));
+});
 
 server.listen(port, function () {
     console.log('%s listening at %s', server.name, server.url);
     console.log(`Google Sheets API Proxy is ready to accept requests`);
     console.log(`Mode: ${isDev ? 'Development (HTTP)' : 'Production (HTTPS)'}`);
     console.log(`Port: ${port}`);
+    if (!isAuthEnabled()) {
+        console.warn('No API keys configured - authentication is disabled in development mode');
+    }
     if (isDev) {
         console.log('Access the API at: http://localhost:' + port);
     }
@@ -0,0 +1,692 @@
+const fs = require('fs');
+const path = require('path');
+
+// A local stand-in for the Sheets v4 client, for offline development and CI.
+// SHEETS_BACKEND=memory keeps spreadsheets in the process; SHEETS_BACKEND=file
+// keeps them in SHEETS_BACKEND_FILE (default: local-sheets.json). GoogleSheetsService
+// uses it in place of google.sheets(), so it implements the calls the service
+// makes with the same request and response shapes:
+//
+//   spreadsheets.get (with `ranges`, the cells' formattedValue and userEnteredValue), spreadsheets.batchUpdate
+//   (addSheet, deleteSheet, duplicateSheet, updateSheetProperties, deleteDimension,
+//   updateCells, updateSpreadsheetProperties), spreadsheets.values.get / batchGet / append / update / batchUpdate
+//
+// Formatting, data validation and protection requests (repeatCell,
+// updateDimensionProperties, setDataValidation, addProtectedRange) are checked
+// against the grid, as Google would, but otherwise have no effect.
+//
+// Unknown spreadsheet IDs are created on first use with an empty "Sheet1".
+// Values are stored as Google would display them: USER_ENTERED strips a leading
+// apostrophe, numbers and booleans read back as strings, and formulas are kept
+// as text rather than evaluated.
+//
+// SHEETS_SEED loads fixtures when the store is created (for the file backend,
+// only when the file doesn't exist yet). It is a comma-separated list of:
+//   - JSON: { "spreadsheets": { "<id>": { "title": "...", "sheets": { "<name>": rows } } } },
+//     where rows are arrays of values, header-keyed objects, or a CSV file path
+//     relative to the JSON file
+//   - CSV: one sheet, named after the file, in the GOOGLE_SHEET_ID spreadsheet
+
+const BACKENDS = ['memory', 'file'];
+const DEFAULT_ROWS = 1000;
+const DEFAULT_COLUMNS = 26;
+
+const stores = {};
+
+// Errors carry the same fields as googleapis' GaxiosError, so routes and
+// isTransientError treat them alike
+function apiError(code, message) {
+    const status = { 400: 'INVALID_ARGUMENT', 404: 'NOT_FOUND' }[code];
+    return Object.assign(new Error(message), {
+        code,
+        status: code,
+        response: { status: code, data: { error: { code, message, status } } }
+    });
+}
+
+function columnIndex(letters) {
+    let column = 0;
+    for (const letter of letters) {
+        column = column * 26 + (letter.charCodeAt(0) - 64);
+    }
+    return column - 1;
+}
+
+function columnLetter(index) {
+    let letters = '';
+    for (let n = index; n >= 0; n = Math.floor(n / 26) - 1) {
+        letters = String.fromCharCode(65 + (n % 26)) + letters;
+    }
+    return letters;
+}
+
+function quoteSheetName(title) {
+    return /^[A-Za-z0-9_]+$/.test(title) ? title : `'${title.replace(/'/g, "''")}'`;
+}
+
+// RFC 4180: quoted fields may hold commas, doubled quotes and line breaks
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    return rows;
+}
+
+// `sheetId` is the next free ID unless the caller picked one (addSheet may)
+function newSheet(spreadsheet, title, rows = [], sheetId) {
+    const sheet = {
+        sheetId: sheetId ?? spreadsheet.nextSheetId++,
+        title,
+        rowCount: Math.max(DEFAULT_ROWS, rows.length),
+        columnCount: Math.max(DEFAULT_COLUMNS, ...rows.map(row => row.length)),
+        rows
+    };
+    spreadsheet.sheets.push(sheet);
+    return sheet;
+}
+
+function newSpreadsheet(title) {
+    return { title, nextSheetId: 0, sheets: [] };
+}
+
+// Header-keyed objects become a header row plus one row per object
+function toRows(values, baseDir) {
+    if (typeof values === 'string') {
+        return parseCsv(fs.readFileSync(path.resolve(baseDir, values), 'utf8'));
+    }
+    if (values.length > 0 && !Array.isArray(values[0])) {
+        const headers = [...new Set(values.flatMap(record => Object.keys(record)))];
+        return [headers, ...values.map(record => headers.map(header => record[header] ?? ''))];
+    }
+    return values;
+}
+
+function loadSeed(data) {
+    const files = (process.env.SHEETS_SEED || '').split(',').map(file => file.trim()).filter(Boolean);
+
+    files.forEach(file => {
+        const filePath = path.resolve(file);
+        const text = fs.readFileSync(filePath, 'utf8');
+
+        if (path.extname(filePath).toLowerCase() === '.csv') {
+            const id = process.env.GOOGLE_SHEET_ID || 'local';
+            const spreadsheet = data.spreadsheets[id] = data.spreadsheets[id] || newSpreadsheet(id);
+            newSheet(spreadsheet, path.basename(filePath, path.extname(filePath)), parseCsv(text));
+            return;
+        }
+
+        const seed = JSON.parse(text);
+        Object.entries(seed.spreadsheets || {}).forEach(([id, definition]) => {
+            const spreadsheet = data.spreadsheets[id] = newSpreadsheet(definition.title || id);
+            Object.entries(definition.sheets || {}).forEach(([title, values]) => {
+                newSheet(spreadsheet, title, toRows(values, path.dirname(filePath)).map(row => row.map(String)));
+            });
+        });
+    });
+    return data;
+}
+
+function createMemoryStore() {
+    let data = null;
+    return {
+        load: () => {
+            data = data || loadSeed({ spreadsheets: {} });
+            return data;
+        },
+        save: updated => {
+            data = updated;
+        }
+    };
+}
+
+function createFileStore(file) {
+    const filePath = path.resolve(file);
+    return {
+        load: () => {
+            if (!fs.existsSync(filePath)) {
+                const data = loadSeed({ spreadsheets: {} });
+                fs.writeFileSync(filePath, JSON.stringify(data));
+                return data;
+            }
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        },
+        save: data => {
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(data));
+            fs.renameSync(tempPath, filePath);
+        }
+    };
+}
+
+function getSpreadsheet(data, spreadsheetId) {
+    if (!data.spreadsheets[spreadsheetId]) {
+        const spreadsheet = newSpreadsheet(spreadsheetId);
+        newSheet(spreadsheet, 'Sheet1');
+        data.spreadsheets[spreadsheetId] = spreadsheet;
+    }
+    return data.spreadsheets[spreadsheetId];
+}
+
+// "Sheet1!B2:D", "'My Sheet'!A:C", "Sheet1!3:3", "Sheet1" or "A1:B2" (first sheet)
+// as 0-based bounds, with Infinity for open ends
+function parseA1(spreadsheet, range) {
+    const bang = range.lastIndexOf('!');
+    let title = bang === -1 ? null : range.slice(0, bang);
+    let cells = bang === -1 ? '' : range.slice(bang + 1);
+
+    if (bang === -1) {
+        // Without "!", a range is a sheet name if one matches, cells on the first sheet otherwise
+        const named = spreadsheet.sheets.find(sheet => sheet.title === range.replace(/^'(.*)'$/, '$1').replace(/''/g, "'"));
+        if (named) {
+            title = named.title;
+        } else {
+            cells = range;
+        }
+    } else if (/^'.*'$/.test(title)) {
+        title = title.slice(1, -1).replace(/''/g, "'");
+    }
+
+    const sheet = title === null ? spreadsheet.sheets[0] : spreadsheet.sheets.find(candidate => candidate.title === title);
+    if (!sheet) {
+        throw apiError(400, `Unable to parse range: ${range}`);
+    }
+    if (!cells) {
+        return { sheet, startRow: 0, startColumn: 0, endRow: Infinity, endColumn: Infinity };
+    }
+
+    const match = cells.toUpperCase().replace(/\$/g, '').match(/^([A-Z]*)(\d*)(?::([A-Z]*)(\d*))?$/);
+    if (!match || (!match[1] && !match[2]) || (match[0].includes(':') && !match[3] && !match[4])) {
+        throw apiError(400, `Unable to parse range: ${range}`);
+    }
+
+    const [, startLetters, startDigits, endLetters, endDigits] = match;
+    const single = !cells.includes(':');
+    const startColumn = startLetters ? columnIndex(startLetters) : 0;
+    const startRow = startDigits ? parseInt(startDigits) - 1 : 0;
+
+    if (single) {
+        return {
+            sheet,
+            startRow,
+            startColumn,
+            endRow: startDigits ? startRow : Infinity,
+            endColumn: startLetters ? startColumn : Infinity
+        };
+    }
+    return {
+        sheet,
+        startRow,
+        startColumn,
+        endRow: endDigits ? parseInt(endDigits) - 1 : Infinity,
+        endColumn: endLetters ? columnIndex(endLetters) : (startLetters && !endDigits ? startColumn : Infinity)
+    };
+}
+
+// The A1 range Google reports back: open ends are clipped to the sheet's grid
+function formatA1(bounds) {
+    const { sheet } = bounds;
+    const endRow = Math.min(bounds.endRow, sheet.rowCount - 1);
+    const endColumn = Math.min(bounds.endColumn, sheet.columnCount - 1);
+    return `${quoteSheetName(sheet.title)}!${columnLetter(bounds.startColumn)}${bounds.startRow + 1}:${columnLetter(endColumn)}${endRow + 1}`;
+}
+
+function toCell(value, valueInputOption) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    const text = String(value);
+    return valueInputOption === 'USER_ENTERED' && text.startsWith("'") ? text.slice(1) : text;
+}
+
+function isEmptyRow(row, startColumn = 0, endColumn = Infinity) {
+    return !row || row.slice(startColumn, endColumn + 1).every(cell => cell === '' || cell === undefined);
+}
+
+function trimRow(row) {
+    let end = row.length;
+    while (end > 0 && (row[end - 1] === '' || row[end - 1] === undefined)) {
+        end--;
+    }
+    return row.slice(0, end).map(cell => cell ?? '');
+}
+
+// Write a block of values at (row, column). null leaves a cell as it is, as in
+// Google's values.update; the grid grows to fit.
+function writeValues(sheet, startRow, startColumn, values, valueInputOption) {
+    let cells = 0;
+    values.forEach((rowValues, i) => {
+        const rowIndex = startRow + i;
+        while (sheet.rows.length <= rowIndex) {
+            sheet.rows.push([]);
+        }
+        const row = sheet.rows[rowIndex];
+        rowValues.forEach((value, j) => {
+            if (value === null) {
+                return;
+            }
+            while (row.length < startColumn + j) {
+                row.push('');
+            }
+            row[startColumn + j] = toCell(value, valueInputOption);
+            cells++;
+        });
+        sheet.rows[rowIndex] = trimRow(row);
+    });
+
+    const width = Math.max(1, ...values.map(row => row.length));
+    sheet.rowCount = Math.max(sheet.rowCount, startRow + values.length);
+    sheet.columnCount = Math.max(sheet.columnCount, startColumn + width);
+
+    return {
+        updatedRange: formatA1({
+            sheet,
+            startRow,
+            startColumn,
+            endRow: startRow + values.length - 1,
+            endColumn: startColumn + width - 1
+        }),
+        updatedRows: values.length,
+        updatedColumns: width,
+        updatedCells: cells
+    };
+}
+
+// Appends go below a "table": Google looks for the first run of non-empty rows
+// at or below the range, within its columns. Returns its first and last row, or null.
+function findTable(bounds) {
+    const { sheet, startRow, startColumn, endColumn } = bounds;
+
+    let first = startRow;
+    while (first < sheet.rows.length && isEmptyRow(sheet.rows[first], startColumn, endColumn)) {
+        first++;
+    }
+    if (first >= sheet.rows.length) {
+        return null;
+    }
+
+    let last = first;
+    while (last + 1 < sheet.rows.length && !isEmptyRow(sheet.rows[last + 1], startColumn, endColumn)) {
+        last++;
+    }
+    return { first, last };
+}
+
+// Google leaves out frozen counts of 0
+function describeSheet(sheet, index) {
+    const gridProperties = { rowCount: sheet.rowCount, columnCount: sheet.columnCount };
+    if (sheet.frozenRowCount) {
+        gridProperties.frozenRowCount = sheet.frozenRowCount;
+    }
+    if (sheet.frozenColumnCount) {
+        gridProperties.frozenColumnCount = sheet.frozenColumnCount;
+    }
+
+    return {
+        properties: {
+            sheetId: sheet.sheetId,
+            title: sheet.title,
+            index,
+            sheetType: 'GRID',
+            gridProperties
+        }
+    };
+}
+
+// A stored value as CellData. Values are kept as displayed, so a leading "="
+// is all that marks a formula
+function describeCell(value) {
+    if (value === '') {
+        return {};
+    }
+    return {
+        formattedValue: value,
+        userEnteredValue: value.startsWith('=') ? { formulaValue: value } : { stringValue: value }
+    };
+}
+
+// The cells of each range, as GridData on the sheet it belongs to
+function describeGridData(spreadsheet, ranges) {
+    const data = new Map();
+    ranges.forEach(range => {
+        const bounds = parseA1(spreadsheet, range);
+        const lastRow = Math.min(bounds.endRow, bounds.sheet.rows.length - 1);
+        const rowData = bounds.sheet.rows
+            .slice(bounds.startRow, lastRow + 1)
+            .map(row => ({
+                values: trimRow(row.slice(bounds.startColumn, bounds.endColumn + 1)).map(describeCell)
+            }));
+
+        const sheetData = data.get(bounds.sheet) || [];
+        sheetData.push({ startRow: bounds.startRow, startColumn: bounds.startColumn, rowData });
+        data.set(bounds.sheet, sheetData);
+    });
+    return data;
+}
+
+function findSheetById(spreadsheet, sheetId) {
+    const sheet = spreadsheet.sheets.find(candidate => candidate.sheetId === sheetId);
+    if (!sheet) {
+        throw new Error(`No grid with id: ${sheetId}`);
+    }
+    return sheet;
+}
+
+// A GridRange's sheet, once its bounds are checked against the sheet's grid
+function checkGridRange(spreadsheet, range) {
+    const sheet = findSheetById(spreadsheet, range.sheetId);
+    if ((range.endRowIndex ?? 0) > sheet.rowCount || (range.endColumnIndex ?? 0) > sheet.columnCount) {
+        throw new Error(`Range ('${sheet.title}'!R${(range.startRowIndex || 0) + 1}C${(range.startColumnIndex || 0) + 1}:R${range.endRowIndex ?? sheet.rowCount}C${range.endColumnIndex ?? sheet.columnCount}) exceeds grid limits. Max rows: ${sheet.rowCount}, max columns: ${sheet.columnCount}`);
+    }
+    return sheet;
+}
+
+function fromExtendedValue(value = {}) {
+    return value.stringValue ?? value.numberValue ?? value.boolValue ?? value.formulaValue ?? '';
+}
+
+function assertTitleFree(spreadsheet, title) {
+    if (spreadsheet.sheets.some(sheet => sheet.title === title)) {
+        throw new Error(`A sheet with the name "${title}" already exists. Please enter another name.`);
+    }
+}
+
+// batchUpdate request handlers; what they throw is reported as Google words it
+const REQUESTS = {
+    addSheet(spreadsheet, { properties = {} }) {
+        const title = properties.title || `Sheet${spreadsheet.sheets.length + 1}`;
+        assertTitleFree(spreadsheet, title);
+        if (properties.sheetId !== undefined && spreadsheet.sheets.some(sheet => sheet.sheetId === properties.sheetId)) {
+            throw new Error(`A sheet with the id ${properties.sheetId} already exists.`);
+        }
+        const sheet = newSheet(spreadsheet, title, [], properties.sheetId);
+        if (properties.gridProperties) {
+            sheet.rowCount = properties.gridProperties.rowCount || sheet.rowCount;
+            sheet.columnCount = properties.gridProperties.columnCount || sheet.columnCount;
+            sheet.frozenRowCount = properties.gridProperties.frozenRowCount || 0;
+            sheet.frozenColumnCount = properties.gridProperties.frozenColumnCount || 0;
+        }
+        return { addSheet: describeSheet(sheet, spreadsheet.sheets.length - 1) };
+    },
+
+    deleteSheet(spreadsheet, { sheetId }) {
+        const sheet = findSheetById(spreadsheet, sheetId);
+        if (spreadsheet.sheets.length === 1) {
+            throw new Error("You can't remove all the sheets in a document.");
+        }
+        spreadsheet.sheets.splice(spreadsheet.sheets.indexOf(sheet), 1);
+        return {};
+    },
+
+    // Without insertSheetIndex, the copy goes right after its source
+    duplicateSheet(spreadsheet, { sourceSheetId, newSheetName, insertSheetIndex }) {
+        const source = findSheetById(spreadsheet, sourceSheetId);
+        const title = newSheetName || `Copy of ${source.title}`;
+        assertTitleFree(spreadsheet, title);
+
+        const copy = {
+            ...JSON.parse(JSON.stringify(source)),
+            sheetId: spreadsheet.nextSheetId++,
+            title
+        };
+        const index = Math.min(insertSheetIndex ?? spreadsheet.sheets.indexOf(source) + 1, spreadsheet.sheets.length);
+        spreadsheet.sheets.splice(index, 0, copy);
+        return { duplicateSheet: describeSheet(copy, index) };
+    },
+
+    // Only the properties named in `fields` change, e.g. "title,gridProperties.frozenRowCount"
+    updateSheetProperties(spreadsheet, { properties = {}, fields = '' }) {
+        const sheet = findSheetById(spreadsheet, properties.sheetId);
+        const grid = properties.gridProperties || {};
+
+        fields.split(',').map(field => field.trim()).filter(Boolean).forEach(field => {
+            if (field === 'title') {
+                if (properties.title !== sheet.title) {
+                    assertTitleFree(spreadsheet, properties.title);
+                }
+                sheet.title = properties.title;
+            } else if (['gridProperties.frozenRowCount', 'gridProperties.frozenColumnCount', 'gridProperties.rowCount', 'gridProperties.columnCount'].includes(field)) {
+                const name = field.split('.')[1];
+                sheet[name] = grid[name] || 0;
+            } else if (field === 'index') {
+                spreadsheet.sheets.splice(spreadsheet.sheets.indexOf(sheet), 1);
+                spreadsheet.sheets.splice(Math.min(properties.index, spreadsheet.sheets.length), 0, sheet);
+            } else {
+                throw new Error(`The local Sheets backend does not support updating ${field}`);
+            }
+        });
+        return {};
+    },
+
+    deleteDimension(spreadsheet, { range }) {
+        const sheet = findSheetById(spreadsheet, range.sheetId);
+
+        const start = range.startIndex || 0;
+        const count = (range.endIndex ?? Infinity) - start;
+        if (range.dimension === 'COLUMNS') {
+            sheet.rows = sheet.rows.map(row => trimRow([...row.slice(0, start), ...row.slice(start + count)]));
+            sheet.columnCount = Math.max(1, sheet.columnCount - Math.min(count, sheet.columnCount - start));
+        } else {
+            sheet.rows.splice(start, count);
+            sheet.rowCount = Math.max(1, sheet.rowCount - Math.min(count, sheet.rowCount - start));
+        }
+        return {};
+    },
+
+    // Only values are kept; `fields` other than userEnteredValue change nothing here
+    updateCells(spreadsheet, { start, rows = [] }) {
+        const sheet = findSheetById(spreadsheet, start.sheetId);
+        const values = rows.map(row => (row.values || []).map(cell => cell.userEnteredValue ? fromExtendedValue(cell.userEnteredValue) : null));
+        checkGridRange(spreadsheet, {
+            sheetId: start.sheetId,
+            endRowIndex: (start.rowIndex || 0) + values.length,
+            endColumnIndex: (start.columnIndex || 0) + Math.max(0, ...values.map(row => row.length))
+        });
+        writeValues(sheet, start.rowIndex || 0, start.columnIndex || 0, values, 'RAW');
+        return {};
+    },
+
+    repeatCell(spreadsheet, { range }) {
+        checkGridRange(spreadsheet, range);
+        return {};
+    },
+
+    updateDimensionProperties(spreadsheet, { range }) {
+        const key = range.dimension === 'COLUMNS' ? 'endColumnIndex' : 'endRowIndex';
+        checkGridRange(spreadsheet, { sheetId: range.sheetId, [key]: range.endIndex });
+        return {};
+    },
+
+    setDataValidation(spreadsheet, { range }) {
+        checkGridRange(spreadsheet, range);
+        return {};
+    },
+
+    addProtectedRange(spreadsheet, { protectedRange }) {
+        checkGridRange(spreadsheet, protectedRange.range);
+        spreadsheet.nextProtectedRangeId = (spreadsheet.nextProtectedRangeId || 0) + 1;
+        return { addProtectedRange: { protectedRange: { protectedRangeId: spreadsheet.nextProtectedRangeId, ...protectedRange } } };
+    },
+
+    updateSpreadsheetProperties(spreadsheet, { properties = {} }) {
+        if (properties.title !== undefined) {
+            spreadsheet.title = properties.title;
+        }
+        return {};
+    }
+};
+
+// A values.get response for one A1 range
+function readValues(spreadsheet, range) {
+    const bounds = parseA1(spreadsheet, range);
+    const lastRow = Math.min(bounds.endRow, bounds.sheet.rows.length - 1);
+
+    // Trailing empty rows and cells are left out, as Google does
+    const values = bounds.sheet.rows
+        .slice(bounds.startRow, lastRow + 1)
+        .map(row => trimRow(row.slice(bounds.startColumn, bounds.endColumn + 1)));
+    while (values.length > 0 && values[values.length - 1].length === 0) {
+        values.pop();
+    }
+
+    return {
+        range: formatA1(bounds),
+        majorDimension: 'ROWS',
+        ...(values.length > 0 ? { values } : {})
+    };
+}
+
+function createLocalSheets(store) {
+    // Each call reads the whole store, and writes it back after a change (or
+    // after creating the spreadsheet on first use)
+    async function withSpreadsheet(spreadsheetId, call, { writes = false } = {}) {
+        const data = store.load();
+        const existed = Boolean(data.spreadsheets[spreadsheetId]);
+        const result = call(getSpreadsheet(data, spreadsheetId));
+        if (writes || !existed) {
+            store.save(data);
+        }
+        return { data: result };
+    }
+
+    return {
+        spreadsheets: {
+            // With `ranges`, only the sheets holding them are described, with their cells
+            get: ({ spreadsheetId, ranges }) => withSpreadsheet(spreadsheetId, spreadsheet => {
+                const data = ranges ? describeGridData(spreadsheet, [].concat(ranges)) : null;
+                const sheets = spreadsheet.sheets
+                    .map((sheet, index) => ({ sheet, ...describeSheet(sheet, index) }))
+                    .filter(({ sheet }) => !data || data.has(sheet))
+                    .map(({ sheet, ...described }) => (data ? { ...described, data: data.get(sheet) } : described));
+
+                return {
+                    spreadsheetId,
+                    properties: { title: spreadsheet.title },
+                    sheets
+                };
+            }),
+
+            // Requests apply to a copy, so a failing request leaves the spreadsheet untouched
+            batchUpdate: ({ spreadsheetId, resource }) => withSpreadsheet(spreadsheetId, spreadsheet => {
+                const draft = JSON.parse(JSON.stringify(spreadsheet));
+                const replies = (resource.requests || []).map((request, index) => {
+                    const [type] = Object.keys(request);
+                    if (!REQUESTS[type]) {
+                        throw apiError(400, `The local Sheets backend does not support ${type} requests`);
+                    }
+                    try {
+                        return REQUESTS[type](draft, request[type]);
+                    } catch (error) {
+                        throw apiError(400, `Invalid requests[${index}].${type}: ${error.message}`);
+                    }
+                });
+                Object.assign(spreadsheet, draft);
+                return { spreadsheetId, replies };
+            }, { writes: true }),
+
+            values: {
+                get: ({ spreadsheetId, range }) => withSpreadsheet(spreadsheetId, spreadsheet => readValues(spreadsheet, range)),
+
+                batchGet: ({ spreadsheetId, ranges }) => withSpreadsheet(spreadsheetId, spreadsheet => ({
+                    spreadsheetId,
+                    valueRanges: [].concat(ranges).map(range => readValues(spreadsheet, range))
+                })),
+
+                append: ({ spreadsheetId, range, valueInputOption, resource }) => withSpreadsheet(spreadsheetId, spreadsheet => {
+                    const bounds = parseA1(spreadsheet, range);
+                    const table = findTable(bounds);
+                    const tableRange = table && formatA1({ ...bounds, startRow: table.first, endRow: table.last });
+                    const startRow = table ? table.last + 1 : bounds.startRow;
+
+                    return {
+                        spreadsheetId,
+                        ...(tableRange ? { tableRange } : {}),
+                        updates: {
+                            spreadsheetId,
+                            ...writeValues(bounds.sheet, startRow, bounds.startColumn, resource.values, valueInputOption)
+                        }
+                    };
+                }, { writes: true }),
+
+                update: ({ spreadsheetId, range, valueInputOption, resource }) => withSpreadsheet(spreadsheetId, spreadsheet => {
+                    const bounds = parseA1(spreadsheet, range);
+                    return {
+                        spreadsheetId,
+                        ...writeValues(bounds.sheet, bounds.startRow, bounds.startColumn, resource.values, valueInputOption)
+                    };
+                }, { writes: true }),
+
+                batchUpdate: ({ spreadsheetId, resource }) => withSpreadsheet(spreadsheetId, spreadsheet => {
+                    // Check every range before writing any, so a bad one changes nothing
+                    const targets = resource.data.map(({ range, values }) => ({ bounds: parseA1(spreadsheet, range), values }));
+                    const responses = targets.map(({ bounds, values }) => ({
+                        spreadsheetId,
+                        ...writeValues(bounds.sheet, bounds.startRow, bounds.startColumn, values, resource.valueInputOption)
+                    }));
+                    return {
+                        spreadsheetId,
+                        totalUpdatedRows: responses.reduce((sum, response) => sum + response.updatedRows, 0),
+                        totalUpdatedCells: responses.reduce((sum, response) => sum + response.updatedCells, 0),
+                        responses
+                    };
+                }, { writes: true })
+            }
+        }
+    };
+}
+
+// The backend named by SHEETS_BACKEND, shared by every service in the process
+function getLocalSheets(backend = process.env.SHEETS_BACKEND) {
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`Unknown SHEETS_BACKEND '${backend}'. Use google (default) or one of: ${BACKENDS.join(', ')}`);
+    }
+    if (!stores[backend]) {
+        const store = backend === 'file'
+            ? createFileStore(process.env.SHEETS_BACKEND_FILE || 'local-sheets.json')
+            : createMemoryStore();
+        stores[backend] = createLocalSheets(store);
+    }
+    return stores[backend];
+}
+
+function isLocalBackend() {
+    return Boolean(process.env.SHEETS_BACKEND) && process.env.SHEETS_BACKEND !== 'google';
+}
+
+module.exports = { BACKENDS, isLocalBackend, getLocalSheets, parseCsv };
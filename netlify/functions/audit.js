@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require('../../netlifyAdapter');
+
+// GET /audit - see routes.js
+exports.handler = createNetlifyHandler('audit');
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require('../../netlifyAdapter');
+
+// POST /forms/:formId - HTML form posts, see forms.js
+exports.handler = createNetlifyHandler('forms');
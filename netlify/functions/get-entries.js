@@ -1,166 +1,4 @@
-const { google } = require('googleapis');
+const { createNetlifyHandler } = require('../../netlifyAdapter');
 
-// Initialize Google Sheets service for serverless
-async function initializeGoogleSheets() {
-    try {
-        const credentials = {
-            type: "service_account",
-            project_id: process.env.GOOGLE_PROJECT_ID,
-            private_key_id: process.env.GOOGLE_PRIVATE_KEY_ID,
-            private_key: process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-            client_email: process.env.GOOGLE_CLIENT_EMAIL,
-            client_id: process.env.GOOGLE_CLIENT_ID,
-            auth_uri: "https://accounts.google.com/o/oauth2/auth",
-            token_uri: "https://oauth2.googleapis.com/token",
-            auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-            client_x509_cert_url: process.env.GOOGLE_CLIENT_X509_CERT_URL,
-            universe_domain: "googleapis.com"
-        };
-
-        const jwtClient = new google.auth.JWT(
-            credentials.client_email, 
-            null, 
-            credentials.private_key, 
-            ['https://www.googleapis.com/auth/spreadsheets']
-        );
-
-        await jwtClient.authorize();
-        const sheets = google.sheets({ version: 'v4', auth: jwtClient });
-        
-        return sheets;
-    } catch (error) {
-        console.error('Failed to initialize Google Sheets service:', error);
-        throw error;
-    }
-}
-
-exports.handler = async (event, context) => {
-    // Enable CORS
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    };
-
-    // Handle preflight requests
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 200, headers, body: '' };
-    }
-
-    try {
-        if (event.httpMethod === 'GET') {
-            // Get entries from sheet
-            const sheets = await initializeGoogleSheets();
-            const { spreadsheetId, sheetName, range } = event.queryStringParameters || {};
-
-            if (!spreadsheetId || !sheetName) {
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify({
-                        error: 'Missing required parameters: spreadsheetId and sheetName'
-                    })
-                };
-            }
-
-            const targetRange = range || `${sheetName}!A:Z`;
-            const result = await sheets.spreadsheets.values.get({
-                spreadsheetId,
-                range: targetRange,
-            });
-
-            return {
-                statusCode: 200,
-                headers,
-                body: JSON.stringify({
-                    success: true,
-                    data: result.data.values || [],
-                    range: targetRange
-                })
-            };
-
-        } else if (event.httpMethod === 'POST') {
-            // Add entries to sheet (same logic as before)
-            const sheets = await initializeGoogleSheets();
-            const body = JSON.parse(event.body);
-            
-            const { spreadsheetId, sheetName, data, options = {} } = body;
-
-            if (!spreadsheetId || !sheetName || !data) {
-                return {
-                    statusCode: 400,
-                    headers,
-                    body: JSON.stringify({
-                        error: 'Missing required parameters: spreadsheetId, sheetName, and data'
-                    })
-                };
-            }
-
-            const {
-                includeTimestamp = false,
-                timestampColumn = 0,
-                valueInputOption = 'USER_ENTERED',
-                timezone = 'America/Chicago'
-            } = options;
-
-            let rowData = [...data];
-
-            if (includeTimestamp) {
-                // Create timestamp in the specified timezone (default: Chicago)
-                const now = new Date();
-                const timestamp = now.toLocaleString('en-US', {
-                    timeZone: timezone,
-                    year: 'numeric',
-                    month: '2-digit',
-                    day: '2-digit',
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    second: '2-digit',
-                    hour12: false
-                });
-                rowData.splice(timestampColumn, 0, timestamp);
-            }
-
-            const range = `${sheetName}!A:Z`;
-            const request = {
-                spreadsheetId,
-                range,
-                valueInputOption,
-                resource: {
-                    values: [rowData],
-                },
-            };
-
-            const response = await sheets.spreadsheets.values.append(request);
-            
-            return {
-                statusCode: 200,
-                headers,
-                body: JSON.stringify({
-                    success: true,
-                    updatedCells: response.data.updatedCells,
-                    updatedRange: response.data.updatedRange,
-                    data: rowData
-                })
-            };
-
-        } else {
-            return {
-                statusCode: 405,
-                headers,
-                body: JSON.stringify({ error: 'Method not allowed' })
-            };
-        }
-
-    } catch (error) {
-        console.error('Error:', error);
-        return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify({
-                error: 'Internal server error',
-                details: error.message
-            })
-        };
-    }
-};
+// Legacy alias for /entries, kept for existing clients
+exports.handler = createNetlifyHandler('get-entries', '/entries');
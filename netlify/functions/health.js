@@ -1,32 +1,4 @@
-exports.handler = async (event, context) => {
-    // Enable CORS
-    const headers = {
-        'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Headers': 'Content-Type',
-        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    };
+const { createNetlifyHandler } = require('../../netlifyAdapter');
 
-    // Handle preflight requests
-    if (event.httpMethod === 'OPTIONS') {
-        return { statusCode: 200, headers, body: '' };
-    }
-
-    if (event.httpMethod !== 'GET') {
-        return {
-            statusCode: 405,
-            headers,
-            body: JSON.stringify({ error: 'Method not allowed' })
-        };
-    }
-
-    return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-            status: 'healthy',
-            timestamp: new Date().toISOString(),
-            service: 'Google Sheets API Proxy',
-            version: '1.0.0'
-        })
-    };
-};
+// GET /health, /health/live and /health/ready - see routes.js and health.js
+exports.handler = createNetlifyHandler('health');
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require('../../netlifyAdapter');
+
+// POST /hooks/:hookId - generic inbound webhooks, see webhooks.js
+exports.handler = createNetlifyHandler('hooks');
@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require('../../netlifyAdapter');
+
+// GET /openapi.json - see openapi.js
+exports.handler = createNetlifyHandler('openapi', '/openapi.json');
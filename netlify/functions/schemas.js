@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require('../../netlifyAdapter');
+
+// GET /schemas/:sheetName - see routes.js
+exports.handler = createNetlifyHandler('schemas');
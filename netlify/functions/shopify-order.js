@@ -0,0 +1,4 @@
+const { createNetlifyHandler } = require('../../netlifyAdapter');
+
+// POST /shopify-order - Shopify order webhook, see shopifyWebhook.js
+exports.handler = createNetlifyHandler('shopify-order');
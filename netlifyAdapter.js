@@ -0,0 +1,122 @@
+const { getSheetsService } = require('./serviceAccounts');
+const { routes, handleRequest, handlePreflight, matchPath, json } = require('./routes');
+const { isFormContentType, parseFormBody } = require('./formBody');
+const idempotency = require('./idempotency');
+const shopifyWebhook = require('./shopifyWebhook');
+const audit = require('./audit');
+
+// A function's files are gone after each invocation, so audit to a sheet tab
+// (or not at all, without a spreadsheet ID to put it in)
+audit.setDefaultSink('sheet');
+
+function rawBody(event) {
+    return event.isBase64Encoded
+        ? Buffer.from(event.body, 'base64').toString('utf8')
+        : event.body;
+}
+
+function headerValue(headers, name) {
+    const key = Object.keys(headers || {}).find(header => header.toLowerCase() === name);
+    return key ? headers[key] : undefined;
+}
+
+// JSON by default; HTML form posts (POST /forms/:formId) are urlencoded or multipart
+function parseBody(event) {
+    if (!event.body) {
+        return {};
+    }
+
+    const contentType = headerValue(event.headers, 'content-type');
+    if (isFormContentType(contentType)) {
+        const buffer = event.isBase64Encoded ? Buffer.from(event.body, 'base64') : Buffer.from(event.body, 'utf8');
+        return parseFormBody(contentType, buffer);
+    }
+    return JSON.parse(rawBody(event));
+}
+
+function toNetlifyResponse(result) {
+    return {
+        statusCode: result.status,
+        headers: result.headers || {},
+        body: result.body === undefined ? '' : JSON.stringify(result.body)
+    };
+}
+
+// Build a Netlify function handler serving the shared routes under `basePath`.
+// The function can be reached as /.netlify/functions/<name>/... or through the
+// /api/* redirect, so everything after the function name is appended to basePath.
+function createNetlifyHandler(functionName, basePath = `/${functionName}`) {
+    const functionPath = new RegExp(`/${functionName}(/.*)?$`);
+    const basePattern = basePath.split('/').filter(Boolean)[0];
+    const ownRoutes = routes.filter(route => route.path.split('/').filter(Boolean)[0] === basePattern);
+
+    return async (event) => {
+        const match = (event.path || '').match(functionPath);
+        const path = basePath + ((match && match[1]) || '');
+
+        // CORS preflight, answered from the same policy as the restify server (cors.js)
+        if (event.httpMethod === 'OPTIONS') {
+            return toNetlifyResponse(handlePreflight(path, {
+                headers: event.headers || {},
+                query: event.queryStringParameters || {}
+            }, ownRoutes));
+        }
+
+        let route = null;
+        let params = null;
+        for (const candidate of ownRoutes) {
+            params = matchPath(candidate.path, path);
+            if (params && candidate.method === event.httpMethod) {
+                route = candidate;
+                break;
+            }
+        }
+
+        if (!route) {
+            const pathExists = ownRoutes.some(candidate => matchPath(candidate.path, path));
+            return toNetlifyResponse(pathExists
+                ? json(405, { error: 'Method not allowed' })
+                : json(404, { error: `No route for ${event.httpMethod} ${path}` }));
+        }
+
+        let body;
+        try {
+            body = parseBody(event);
+        } catch (error) {
+            return toNetlifyResponse(json(400, {
+                error: 'Request body must be valid JSON or form data',
+                message: error.message
+            }));
+        }
+
+        // Repeated query params (e.g. several `where`s) only survive in the multi-value map
+        const query = { ...event.queryStringParameters };
+        Object.entries(event.multiValueQueryStringParameters || {}).forEach(([name, values]) => {
+            if (values.length > 1) {
+                query[name] = values;
+            }
+        });
+
+        if (route.idempotent) {
+            idempotency.connectNetlify(event);
+        }
+        if (route.path === '/shopify-order') {
+            shopifyWebhook.connectNetlify(event);
+        }
+
+        const result = await handleRequest(route, {
+            method: event.httpMethod,
+            params,
+            query,
+            body,
+            rawBody: event.body ? rawBody(event) : undefined,
+            headers: event.headers || {},
+            // Netlify's edge sets the real client address
+            ip: headerValue(event.headers, 'x-nf-client-connection-ip') || headerValue(event.headers, 'client-ip')
+        }, getSheetsService);
+
+        return toNetlifyResponse(result);
+    };
+}
+
+module.exports = { createNetlifyHandler };
@@ -0,0 +1,419 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { google } = require('googleapis');
+const GoogleSheetsService = require('./googleSheetsService');
+const { HttpError } = require('./errors');
+
+// Three-legged OAuth: an admin key asks for a start link (POST /oauth/start), and
+// a Google user links their account by opening it (GET /oauth/start) and
+// consenting; the callback (GET /oauth) exchanges the code and keeps the refresh
+// token, encrypted with OAUTH_TOKEN_KEY, in OAUTH_TOKENS_FILE (default:
+// oauth-tokens.json). Requests that send `account=<email>` then call Google as
+// that user instead of the service account, so they reach sheets that can't be
+// shared with a service account (e.g. domain-restricted ones).
+//
+// The state sent to Google carries a nonce that GET /oauth/start also sets as a
+// cookie, so only the browser that started the flow can finish it.
+//
+// Needs GOOGLE_OAUTH_CLIENT_ID, GOOGLE_OAUTH_CLIENT_SECRET and
+// GOOGLE_OAUTH_REDIRECT_URI (the public URL of GET /oauth, registered with the
+// OAuth client in Google Cloud Console).
+
+const SCOPES = ['openid', 'email', 'https://www.googleapis.com/auth/spreadsheets'];
+const REQUIRED_ENV = ['GOOGLE_OAUTH_CLIENT_ID', 'GOOGLE_OAUTH_CLIENT_SECRET', 'GOOGLE_OAUTH_REDIRECT_URI', 'OAUTH_TOKEN_KEY'];
+
+// How long a start link, and then the consent that follows it, stay valid
+const STATE_TTL_MS = 10 * 60 * 1000;
+
+const STATE_COOKIE = 'oauth_state';
+
+let keys = null;
+const userServices = new Map();
+
+function isConfigured() {
+    return REQUIRED_ENV.some(name => process.env[name]);
+}
+
+// Check the settings up front so a missing one fails at startup, not mid-flow
+function loadOAuth() {
+    if (!isConfigured()) {
+        return null;
+    }
+
+    const missing = REQUIRED_ENV.filter(name => !process.env[name]);
+    if (missing.length > 0) {
+        throw new Error(`OAuth needs ${missing.join(', ')} to be set as well`);
+    }
+
+    listAccounts().forEach(account => decrypt(account.refreshToken));
+    return { tokensFile: tokensPath() };
+}
+
+function assertConfigured() {
+    if (!isConfigured()) {
+        throw new HttpError(404, 'Linking Google accounts is not configured on this deployment');
+    }
+}
+
+function createClient() {
+    return new google.auth.OAuth2(
+        process.env.GOOGLE_OAUTH_CLIENT_ID,
+        process.env.GOOGLE_OAUTH_CLIENT_SECRET,
+        process.env.GOOGLE_OAUTH_REDIRECT_URI
+    );
+}
+
+// OAUTH_TOKEN_KEY may be any passphrase; separate keys are derived for
+// encrypting tokens and for signing the state parameter
+function getKeys() {
+    if (!keys) {
+        const secret = process.env.OAUTH_TOKEN_KEY;
+        keys = {
+            encryption: crypto.scryptSync(secret, 'oauth-tokens', 32),
+            state: crypto.scryptSync(secret, 'oauth-state', 32)
+        };
+    }
+    return keys;
+}
+
+// AES-256-GCM, stored as "iv.tag.ciphertext" in base64url
+function encrypt(text) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKeys().encryption, iv);
+    const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function decrypt(stored) {
+    try {
+        const [iv, tag, ciphertext] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', getKeys().encryption, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+    } catch (error) {
+        throw new Error(`Stored OAuth tokens can't be decrypted; was OAUTH_TOKEN_KEY changed? (${error.message})`);
+    }
+}
+
+function tokensPath() {
+    return path.resolve(process.env.OAUTH_TOKENS_FILE || 'oauth-tokens.json');
+}
+
+// { "accounts": { "<email>": { email, scopes, linkedAt, refreshToken } } }
+function loadStore() {
+    const filePath = tokensPath();
+    if (!fs.existsSync(filePath)) {
+        return { accounts: {} };
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`${filePath} is not valid JSON: ${error.message}`);
+    }
+}
+
+function saveStore(store) {
+    const filePath = tokensPath();
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(store, null, 2), { mode: 0o600 });
+    fs.renameSync(tempPath, filePath);
+}
+
+function listAccounts() {
+    return Object.values(loadStore().accounts || {});
+}
+
+function findAccount(email) {
+    return (loadStore().accounts || {})[String(email).toLowerCase()];
+}
+
+// The state is signed rather than kept server-side, so any instance can finish the flow
+function signState(payload) {
+    const data = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', getKeys().state).update(data).digest('base64url');
+    return `${data}.${signature}`;
+}
+
+// The payload of a signed state or start link, or null if it's forged or expired
+function verifyState(state) {
+    const [data, signature] = String(state || '').split('.');
+    if (!data || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(crypto.createHmac('sha256', getKeys().state).update(data).digest('base64url'));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    return payload.expiresAt > Date.now() ? payload : null;
+}
+
+// The cookie is scoped to the OAuth routes (the redirect URI's path and below)
+function stateCookie(value, maxAgeSeconds) {
+    const { protocol, pathname } = new URL(process.env.GOOGLE_OAUTH_REDIRECT_URI);
+    return [
+        `${STATE_COOKIE}=${value}`,
+        `Path=${pathname}`,
+        `Max-Age=${maxAgeSeconds}`,
+        'HttpOnly',
+        // Google's redirect back is a cross-site navigation, which Lax allows
+        'SameSite=Lax',
+        ...(protocol === 'https:' ? ['Secure'] : [])
+    ].join('; ');
+}
+
+function readCookie(headers, name) {
+    const cookies = String(headers.cookie || '').split(';').map(cookie => cookie.trim());
+    const found = cookies.find(cookie => cookie.startsWith(`${name}=`));
+    return found ? found.slice(name.length + 1) : null;
+}
+
+// POST /oauth/start (admin) { email? }: a start link to hand to the user, valid
+// for STATE_TTL_MS. With `email`, only that Google account can be linked with it.
+function createStartLink(request) {
+    assertConfigured();
+
+    const email = (request.body || {}).email;
+    const expiresAt = Date.now() + STATE_TTL_MS;
+    const url = new URL(process.env.GOOGLE_OAUTH_REDIRECT_URI);
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/start`;
+    url.search = '';
+    url.searchParams.set('link', signState({ link: true, email: email ? String(email).toLowerCase() : null, expiresAt }));
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            url: url.toString(),
+            email: email || null,
+            expiresAt: new Date(expiresAt).toISOString()
+        }
+    };
+}
+
+// GET /oauth/start?link=<from POST /oauth/start>: send the user to Google's
+// consent screen, with a cookie tying the flow to this browser. A link for an
+// email pre-fills the sign-in with it.
+function startOAuth(request) {
+    assertConfigured();
+
+    const link = verifyState(request.query.link);
+    if (!link || !link.link) {
+        throw new HttpError(401, 'Invalid or expired start link; ask an admin for a new one (POST /oauth/start)');
+    }
+
+    const nonce = crypto.randomBytes(16).toString('base64url');
+    const url = createClient().generateAuthUrl({
+        access_type: 'offline',
+        // Always ask, so Google returns a refresh token even for a re-link
+        prompt: 'consent',
+        scope: SCOPES,
+        include_granted_scopes: true,
+        login_hint: link.email || undefined,
+        state: signState({
+            nonce,
+            email: link.email,
+            expiresAt: Date.now() + STATE_TTL_MS
+        })
+    });
+
+    return {
+        status: 302,
+        body: undefined,
+        headers: { Location: url, 'Set-Cookie': stateCookie(nonce, STATE_TTL_MS / 1000) }
+    };
+}
+
+// Whether the request carries the cookie GET /oauth/start set for this state
+function fromStartingBrowser(request, payload) {
+    const cookie = readCookie(request.headers, STATE_COOKIE);
+    if (!cookie || !payload.nonce) {
+        return false;
+    }
+    const expected = Buffer.from(payload.nonce);
+    const actual = Buffer.from(cookie);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+}
+
+// GET /oauth: Google redirects back here with a code to exchange for tokens
+async function oauthCallback(request) {
+    assertConfigured();
+
+    const { code, state, error } = request.query;
+    if (error) {
+        throw new HttpError(400, `Google did not link the account: ${error}`);
+    }
+    if (!code) {
+        throw new HttpError(400, 'Missing authorization code; open your start link again');
+    }
+    const payload = verifyState(state);
+    if (!payload || payload.link) {
+        throw new HttpError(400, 'Invalid or expired OAuth state; start again with a new start link');
+    }
+    if (!fromStartingBrowser(request, payload)) {
+        throw new HttpError(400, 'This sign-in was started in another browser; open the start link again here');
+    }
+
+    const client = createClient();
+    let tokens;
+    try {
+        ({ tokens } = await client.getToken(code));
+    } catch (exchangeError) {
+        throw new HttpError(400, 'Google rejected the authorization code', {
+            message: exchangeError.response?.data?.error_description || exchangeError.message
+        });
+    }
+
+    if (!tokens.refresh_token) {
+        throw new HttpError(502, 'Google did not return a refresh token; start again at /oauth/start');
+    }
+
+    const scopes = String(tokens.scope || '').split(' ').filter(Boolean);
+    if (!scopes.includes('https://www.googleapis.com/auth/spreadsheets')) {
+        throw new HttpError(400, 'Access to Google Sheets was not granted; start again and allow it');
+    }
+
+    const ticket = await client.verifyIdToken({
+        idToken: tokens.id_token,
+        audience: process.env.GOOGLE_OAUTH_CLIENT_ID
+    });
+    const { email: rawEmail, email_verified: emailVerified } = ticket.getPayload();
+    const email = rawEmail.toLowerCase();
+    if (emailVerified !== true) {
+        throw new HttpError(403, `Google hasn't verified ${email}, so it can't be linked`);
+    }
+    if (payload.email && payload.email !== email) {
+        throw new HttpError(403, `This start link is for ${payload.email}, not ${email}`);
+    }
+
+    const store = loadStore();
+    store.accounts = store.accounts || {};
+    store.accounts[email] = {
+        email,
+        scopes,
+        linkedAt: new Date().toISOString(),
+        refreshToken: encrypt(tokens.refresh_token)
+    };
+    saveStore(store);
+    userServices.delete(email);
+
+    console.log(`Linked Google account ${email}`);
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            account: email,
+            scopes,
+            message: `Linked ${email}. API keys that list it under "accounts" can now send account=${email}.`
+        },
+        headers: { 'Set-Cookie': stateCookie('', 0) }
+    };
+}
+
+function describeAccount(account) {
+    return {
+        email: account.email,
+        scopes: account.scopes,
+        linkedAt: account.linkedAt
+    };
+}
+
+// GET /oauth/accounts (admin)
+function listLinkedAccounts() {
+    assertConfigured();
+
+    const accounts = listAccounts();
+    return {
+        status: 200,
+        body: {
+            success: true,
+            total: accounts.length,
+            accounts: accounts.map(describeAccount)
+        }
+    };
+}
+
+// DELETE /oauth/accounts/:email (admin): revoke the grant at Google and forget it.
+// A token the user already revoked themselves is still removed.
+async function revokeLinkedAccount(request) {
+    assertConfigured();
+
+    const email = String(request.params.email).toLowerCase();
+    const account = findAccount(email);
+    if (!account) {
+        throw new HttpError(404, `No linked Google account ${email}`);
+    }
+
+    let revokedAtGoogle = true;
+    try {
+        await createClient().revokeToken(decrypt(account.refreshToken));
+    } catch (error) {
+        if (error.response?.data?.error !== 'invalid_token') {
+            throw error;
+        }
+        revokedAtGoogle = false;
+    }
+
+    const store = loadStore();
+    delete store.accounts[email];
+    saveStore(store);
+    userServices.delete(email);
+
+    console.log(`Unlinked Google account ${email}`);
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            account: email,
+            revokedAtGoogle,
+            message: `Unlinked ${email}`
+        }
+    };
+}
+
+// A GoogleSheetsService acting as a linked user. The access token is refreshed
+// here, so a revoked grant is reported as such rather than as a failed write.
+async function getUserSheetsService(email) {
+    assertConfigured();
+
+    const key = String(email).toLowerCase();
+    if (!userServices.has(key)) {
+        const account = findAccount(key);
+        if (!account) {
+            throw new HttpError(400, `No linked Google account ${key}; link it at /oauth/start`);
+        }
+
+        const client = createClient();
+        client.setCredentials({ refresh_token: decrypt(account.refreshToken) });
+        userServices.set(key, new GoogleSheetsService(null).useAuthClient(client));
+    }
+
+    const service = userServices.get(key);
+    try {
+        await service.authClient.getAccessToken();
+    } catch (error) {
+        if (error.response?.data?.error === 'invalid_grant') {
+            userServices.delete(key);
+            throw new HttpError(403, `Google account ${key} no longer grants access; link it again at /oauth/start`);
+        }
+        throw error;
+    }
+    return service;
+}
+
+module.exports = {
+    isConfigured,
+    loadOAuth,
+    createStartLink,
+    startOAuth,
+    oauthCallback,
+    listLinkedAccounts,
+    revokeLinkedAccount,
+    getUserSheetsService
+};
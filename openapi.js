@@ -0,0 +1,938 @@
+const { SERVICE, VERSION } = require('./health');
+
+// The OpenAPI 3 description of every route in routes.js, served at
+// GET /openapi.json (and rendered by public/index.html). Requests are checked
+// against their operation before the handler runs (requestValidation.js), so
+// what is documented here is what the API accepts. checkDocument() fails
+// startup if a route has no operation here, or an operation no route.
+//
+// Security is filled in from each route's `action` when the document is built,
+// so the documented API key requirements can't drift from the routes either.
+
+function ref(name) {
+    return { $ref: `#/components/schemas/${name}` };
+}
+
+function param(name) {
+    return { $ref: `#/components/parameters/${name}` };
+}
+
+function jsonBody(schema) {
+    return { required: true, content: { 'application/json': { schema } } };
+}
+
+function jsonResponse(description, schema = ref('Error')) {
+    return { description, content: { 'application/json': { schema } } };
+}
+
+// Success responses are given per operation; the error responses every
+// operation can return are added by buildDocument
+function success(description, schema = ref('Success'), status = 200) {
+    return { [status]: jsonResponse(description, schema) };
+}
+
+// spreadsheetId, sheetName, account and serviceAccount may be sent in the query
+// string or the body (routes.js resolveTarget), so neither place requires them
+const targetProperties = {
+    spreadsheetId: { type: 'string', description: 'The Google spreadsheet ID' },
+    sheetName: { type: 'string', description: 'The sheet (tab) name' },
+    account: { type: 'string', format: 'email', description: 'Act as this linked Google account (see /oauth/start)' },
+    serviceAccount: { type: 'string', description: 'Act as this named service account' }
+};
+
+const targetParameters = [param('spreadsheetId'), param('sheetName'), param('account'), param('serviceAccount')];
+
+// Routes under /sheets/{sheetName} take the sheet from the path
+const sheetPathParameters = [
+    { name: 'sheetName', in: 'path', required: true, description: 'The sheet (tab) name', schema: { type: 'string' } },
+    param('spreadsheetId'),
+    param('account'),
+    param('serviceAccount')
+];
+
+const sheetInfoProperties = {
+    sheetId: { type: 'integer' },
+    sheetName: { type: 'string' },
+    index: { type: 'integer', description: 'Position among the tabs, from 0' },
+    rowCount: { type: 'integer' },
+    columnCount: { type: 'integer' },
+    frozenRowCount: { type: 'integer' },
+    frozenColumnCount: { type: 'integer' },
+    headers: { type: 'array', items: { type: 'string' }, description: 'The values of the first row' }
+};
+
+function sheetResponse(description, status = 200) {
+    return success(description, {
+        type: 'object',
+        properties: {
+            success: { type: 'boolean' },
+            spreadsheetId: { type: 'string' },
+            ...sheetInfoProperties,
+            message: { type: 'string' }
+        }
+    }, status);
+}
+
+function targetBody(description, properties, required = []) {
+    return jsonBody({
+        type: 'object',
+        description,
+        required,
+        properties: { ...targetProperties, ...properties }
+    });
+}
+
+// Writes that honour an Idempotency-Key (idempotency.js)
+const idempotentParameters = [...targetParameters, param('IdempotencyKey')];
+
+const idempotentResponses = {
+    409: jsonResponse('A request with the same Idempotency-Key is still being processed')
+};
+
+const AUDIT_OPERATIONS = ['append', 'update', 'delete', 'restore', 'createSheet', 'renameSheet', 'duplicateSheet', 'deleteSheet'];
+
+const writeOptions = {
+    includeTimestamp: { type: 'boolean', default: false, description: 'Add a timestamp to the row' },
+    timestampColumn: { type: 'integer', minimum: -1, default: 0, description: 'Positional rows: column index of the timestamp, or -1 for after the last value' },
+    timestampField: { type: 'string', default: 'Timestamp', description: 'Object rows: column that receives the timestamp' },
+    timezone: { type: 'string', default: 'America/Chicago', description: 'IANA timezone of the timestamp' },
+    valueInputOption: { type: 'string', enum: ['USER_ENTERED', 'RAW'], default: 'USER_ENTERED' },
+    unknownKeys: { type: 'string', enum: ['reject', 'ignore', 'add'], description: 'Object rows: what to do with keys that match no column (default: UNKNOWN_KEYS or reject)' }
+};
+
+const paths = {
+    '/': {
+        get: {
+            summary: 'Service name, version and endpoint list',
+            tags: ['Service'],
+            responses: success('The service and its endpoints', {
+                type: 'object',
+                properties: {
+                    service: { type: 'string' },
+                    version: { type: 'string' },
+                    documentation: { type: 'string' },
+                    endpoints: { type: 'object', additionalProperties: { type: 'string' } }
+                }
+            })
+        }
+    },
+    '/openapi.json': {
+        get: {
+            summary: 'This OpenAPI document',
+            tags: ['Service'],
+            responses: success('The OpenAPI 3 document', { type: 'object' })
+        }
+    },
+    '/health': {
+        get: {
+            summary: 'Health check',
+            tags: ['Health'],
+            responses: success('The service is up', ref('Health'))
+        }
+    },
+    '/health/live': {
+        get: {
+            summary: 'Liveness: the process is up',
+            tags: ['Health'],
+            responses: success('The process is up', ref('Health'))
+        }
+    },
+    '/health/ready': {
+        get: {
+            summary: 'Readiness: credentials and every configured spreadsheet checked',
+            description: 'Details of each check are only shown to admin keys, or with authentication off.',
+            tags: ['Health'],
+            responses: {
+                ...success('Every check passed', ref('Readiness')),
+                503: jsonResponse('A check failed', ref('Readiness'))
+            }
+        }
+    },
+    '/entries': {
+        get: {
+            summary: 'Get entries as header-keyed records',
+            description: 'Filtered, sorted and paged records, or raw value rows with format=rows.',
+            tags: ['Entries'],
+            parameters: [
+                { ...param('spreadsheetId'), required: true },
+                { ...param('sheetName'), required: true },
+                param('account'),
+                param('serviceAccount'),
+                {
+                    name: 'where',
+                    in: 'query',
+                    description: 'Conditions as column:operator:value (operators: eq, ne, contains, gt, gte, lt, lte), separated by ";" or repeated',
+                    schema: { type: 'array', items: { type: 'string' } },
+                    example: ['Status:eq:open']
+                },
+                { name: 'match', in: 'query', description: 'Whether all or any of the where conditions must match', schema: { type: 'string', enum: ['all', 'any'], default: 'all' } },
+                { name: 'sort', in: 'query', description: 'Comma-separated columns; prefix with "-" or suffix with ":desc" for descending', schema: { type: 'array', items: { type: 'string' } }, example: ['-Priority,Name'] },
+                { name: 'fields', in: 'query', description: 'Comma-separated columns to return', schema: { type: 'array', items: { type: 'string' } } },
+                { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } },
+                { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0 } },
+                { name: 'cursor', in: 'query', description: 'The nextCursor of the previous page', schema: { type: 'string' } },
+                { name: 'format', in: 'query', description: 'rows returns the raw value rows instead of records', schema: { type: 'string', enum: ['records', 'rows'], default: 'records' } },
+                { name: 'includeHeader', in: 'query', description: 'Treat the first row as headers', schema: { type: 'boolean', default: true } },
+                { name: 'range', in: 'query', description: 'A1 range to read, e.g. A1:D20', schema: { type: 'string' } },
+                { name: 'startRow', in: 'query', schema: { type: 'integer', minimum: 1 } },
+                { name: 'endRow', in: 'query', schema: { type: 'integer', minimum: 1 } }
+            ],
+            responses: {
+                ...success('The requested page of entries', ref('Entries')),
+                304: { description: 'Not modified: If-None-Match still matches the ETag' }
+            }
+        },
+        post: {
+            summary: 'Add an entry',
+            description: 'A positional array of values is appended as is; objects are placed under their matching column headers. spreadsheetId and sheetName default to GOOGLE_SHEET_ID and GOOGLE_SHEET_SHEET.',
+            tags: ['Entries'],
+            parameters: idempotentParameters,
+            requestBody: targetBody('The entry', {
+                data: {
+                    anyOf: [
+                        { title: 'an array of values', type: 'array', minItems: 1, items: ref('CellValue') },
+                        { title: 'an object keyed by column header', ...ref('Record') },
+                        { title: 'a non-empty array of objects', type: 'array', minItems: 1, items: ref('Record') }
+                    ]
+                },
+                options: { type: 'object', properties: { ...writeOptions, range: { type: 'string', description: 'Positional rows: A1 range to append to' } } }
+            }, ['data']),
+            responses: {
+                ...success('The entry was added', ref('WriteResult')),
+                202: jsonResponse('Google Sheets was unavailable; the write was queued', ref('Queued')),
+                ...idempotentResponses,
+                422: jsonResponse('The Idempotency-Key was already used for a different request')
+            }
+        },
+        put: {
+            summary: 'Upsert an entry by key column',
+            description: 'Updates the row whose keyColumn value matches data[keyColumn], or appends data as a new row.',
+            tags: ['Entries'],
+            parameters: targetParameters,
+            requestBody: targetBody('The entry and its key column', {
+                keyColumn: { type: 'string', minLength: 1, description: 'Header of the column that identifies the row' },
+                data: ref('Record'),
+                options: { type: 'object', properties: writeOptions }
+            }, ['keyColumn', 'data']),
+            responses: {
+                ...success('The entry was updated or inserted', ref('WriteResult')),
+                202: jsonResponse('Google Sheets was unavailable; the write was queued', ref('Queued'))
+            }
+        },
+        delete: {
+            summary: 'Delete rows by row number',
+            description: 'With SOFT_DELETE=true the rows are first copied to the archive sheet, and can be put back with POST /entries/restore.',
+            tags: ['Entries'],
+            parameters: targetParameters,
+            requestBody: targetBody('The rows to delete', {
+                rowNumbers: { type: 'array', minItems: 1, items: { type: 'integer', minimum: 1 }, description: '1-based row numbers' }
+            }, ['rowNumbers']),
+            responses: success('The rows were deleted', {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    deletedCount: { type: 'integer' },
+                    deletedRows: { type: 'array', items: { type: 'integer' } },
+                    archiveSheet: { type: 'string', description: 'Soft delete only' },
+                    archived: {
+                        type: 'array',
+                        description: 'Soft delete only: the archive ID of each deleted row that had values',
+                        items: { type: 'object', properties: { id: { type: 'string' }, row: { type: 'integer' } } }
+                    },
+                    message: { type: 'string' }
+                }
+            })
+        }
+    },
+    '/entries/restore': {
+        post: {
+            summary: 'Put soft-deleted rows back',
+            description: 'Appends archived rows to the end of the sheet they were deleted from and removes them from the archive sheet. Needs the delete action.',
+            tags: ['Entries'],
+            parameters: targetParameters,
+            requestBody: targetBody('The rows to restore', {
+                ids: { type: 'array', minItems: 1, items: { type: 'string' }, description: 'Archive IDs, as returned by DELETE /entries or in the archive sheet\'s Archive ID column' }
+            }, ['ids']),
+            responses: {
+                ...success('The rows were restored', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        total: { type: 'integer' },
+                        restoredCount: { type: 'integer' },
+                        restored: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    id: { type: 'string' },
+                                    originalRow: { type: 'integer' },
+                                    row: { type: 'integer' },
+                                    range: { type: 'string' },
+                                    values: { type: 'array', items: ref('CellValue') }
+                                }
+                            }
+                        },
+                        failed: { type: 'array', items: { type: 'object' } },
+                        message: { type: 'string' }
+                    }
+                }),
+                404: jsonResponse('Soft delete is off, or an ID is not in the archive for this sheet'),
+                422: jsonResponse('The rows no longer pass the sheet\'s schema')
+            }
+        }
+    },
+    '/entries/batch': {
+        post: {
+            summary: 'Add many rows at once',
+            description: 'Each row gets its own result. At most BATCH_MAX_ROWS rows (default 1000). Answers 422 when no row was valid, or when the Idempotency-Key was already used for a different request.',
+            tags: ['Entries'],
+            parameters: idempotentParameters,
+            requestBody: targetBody('The rows', {
+                rows: {
+                    type: 'array',
+                    minItems: 1,
+                    items: {
+                        anyOf: [
+                            { title: 'an array of values', type: 'array', items: ref('CellValue') },
+                            { title: 'an object keyed by column header', ...ref('Record') }
+                        ]
+                    }
+                },
+                options: { type: 'object', properties: { ...writeOptions, atomic: { type: 'boolean', default: false, description: 'Write nothing if any row is invalid' } } }
+            }, ['rows']),
+            responses: {
+                ...success('Some or all rows were added', ref('BatchResult')),
+                202: jsonResponse('Google Sheets was unavailable; the write was queued', ref('Queued')),
+                ...idempotentResponses,
+                422: jsonResponse('No row was valid', ref('BatchResult'))
+            }
+        }
+    },
+    '/entries/{row}': {
+        patch: {
+            summary: 'Update named fields of a row',
+            tags: ['Entries'],
+            parameters: [
+                { name: 'row', in: 'path', required: true, description: '1-based row number, as returned in _row', schema: { type: 'integer', minimum: 1 } },
+                ...targetParameters
+            ],
+            requestBody: targetBody('The fields to change', {
+                data: ref('Record'),
+                options: { type: 'object', properties: { valueInputOption: writeOptions.valueInputOption, unknownKeys: writeOptions.unknownKeys } }
+            }, ['data']),
+            responses: {
+                ...success('The row after the update', ref('WriteResult')),
+                202: jsonResponse('Google Sheets was unavailable; the write was queued', ref('Queued'))
+            }
+        }
+    },
+    '/schemas/{sheetName}': {
+        get: {
+            summary: "Get a sheet's column schema",
+            tags: ['Sheets'],
+            parameters: [
+                { name: 'sheetName', in: 'path', required: true, schema: { type: 'string' } },
+                param('spreadsheetId')
+            ],
+            responses: success('The schema', {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    spreadsheetId: { type: 'string' },
+                    sheetName: { type: 'string' },
+                    columns: { type: 'array', items: { type: 'object' } }
+                }
+            })
+        }
+    },
+    '/sheets': {
+        get: {
+            summary: 'List the sheets of a spreadsheet',
+            description: 'Each sheet with its ID, size, frozen rows and columns, and header row. spreadsheetId defaults to GOOGLE_SHEET_ID. A key scoped to some sheets only sees those.',
+            tags: ['Sheets'],
+            parameters: [param('spreadsheetId'), param('account'), param('serviceAccount')],
+            responses: success('The sheets, in tab order', {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    spreadsheetId: { type: 'string' },
+                    title: { type: 'string', description: "The spreadsheet's title" },
+                    total: { type: 'integer' },
+                    sheets: { type: 'array', items: ref('SheetInfo') }
+                }
+            })
+        },
+        post: {
+            summary: 'Create a sheet',
+            description: 'spreadsheetId defaults to GOOGLE_SHEET_ID. The header row, frozen rows, formatting, validation and protected ranges are applied in one batchUpdate, so either all of it is or no sheet is created. Answers 409 when the sheet already exists.',
+            tags: ['Sheets'],
+            parameters: targetParameters,
+            requestBody: targetBody('The new sheet', {
+                headers: { type: 'array', items: ref('CellValue'), description: 'Values for the header row' },
+                frozenRows: { type: 'integer', minimum: 0, default: 0, description: 'Rows to freeze, e.g. 1 for the header row' },
+                frozenColumns: { type: 'integer', minimum: 0, default: 0 },
+                headerStyle: ref('HeaderStyle'),
+                columns: {
+                    type: 'object',
+                    description: 'Options per column, keyed by header or column letter; they apply below the header row',
+                    additionalProperties: ref('ColumnOptions'),
+                    example: { Total: { numberFormat: { type: 'CURRENCY' } }, Status: { dropdown: ['open', 'closed'] } }
+                },
+                protectedRanges: { type: 'array', items: ref('ProtectedRange') }
+            }),
+            responses: success('The sheet was created', {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    sheetId: { type: 'integer' },
+                    sheetName: { type: 'string' },
+                    message: { type: 'string' }
+                }
+            })
+        }
+    },
+    '/sheets/{sheetName}': {
+        get: {
+            summary: 'Describe a sheet',
+            tags: ['Sheets'],
+            parameters: sheetPathParameters,
+            responses: sheetResponse('The sheet')
+        },
+        patch: {
+            summary: 'Rename a sheet',
+            description: 'Answers 409 when another sheet already has the new name.',
+            tags: ['Sheets'],
+            parameters: sheetPathParameters,
+            requestBody: jsonBody({
+                type: 'object',
+                required: ['newName'],
+                properties: {
+                    newName: { type: 'string', minLength: 1, maxLength: 100, description: 'The new sheet name' },
+                    spreadsheetId: targetProperties.spreadsheetId
+                }
+            }),
+            responses: sheetResponse('The sheet after renaming')
+        },
+        delete: {
+            summary: 'Delete a sheet and all its data',
+            description: 'confirm must repeat the sheet name, so a sheet is never deleted by mistake. A spreadsheet\'s last sheet can\'t be deleted.',
+            tags: ['Sheets'],
+            parameters: [
+                ...sheetPathParameters,
+                { name: 'confirm', in: 'query', required: true, description: 'The sheet name again', schema: { type: 'string' } }
+            ],
+            responses: success('The sheet was deleted', {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    spreadsheetId: { type: 'string' },
+                    sheetId: { type: 'integer' },
+                    sheetName: { type: 'string' },
+                    message: { type: 'string' }
+                }
+            })
+        }
+    },
+    '/sheets/{sheetName}/duplicate': {
+        post: {
+            summary: 'Copy a sheet',
+            description: 'Copies values and formatting. Answers 409 when newName is taken.',
+            tags: ['Sheets'],
+            parameters: sheetPathParameters,
+            requestBody: {
+                required: false,
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                newName: { type: 'string', minLength: 1, maxLength: 100, description: 'Name of the copy (default: "Copy of <sheetName>")' },
+                                index: { type: 'integer', minimum: 0, description: 'Tab position of the copy (default: right after the original)' },
+                                spreadsheetId: targetProperties.spreadsheetId
+                            }
+                        }
+                    }
+                }
+            },
+            responses: sheetResponse('The copy', 201)
+        }
+    },
+    '/shopify-order': {
+        post: {
+            summary: 'Shopify order webhook',
+            description: 'Signed with SHOPIFY_WEBHOOK_SECRET (X-Shopify-Hmac-Sha256); the order is mapped to a row by the Shopify column mapping.',
+            tags: ['Webhooks'],
+            requestBody: jsonBody({ type: 'object', description: 'The Shopify order payload' }),
+            responses: {
+                ...success('The order was recorded, or was already'),
+                409: jsonResponse('An earlier delivery of this order is still being written'),
+                503: jsonResponse('The order is still being written after SHOPIFY_RESPONSE_TIMEOUT; Shopify retries the delivery')
+            }
+        }
+    },
+    '/hooks/{hookId}': {
+        post: {
+            summary: 'Inbound webhook mapped to sheet rows',
+            description: 'Verified and mapped as its definition in WEBHOOKS / webhooks.json says.',
+            tags: ['Webhooks'],
+            parameters: [{ name: 'hookId', in: 'path', required: true, schema: { type: 'string' } }],
+            requestBody: jsonBody({ description: 'The sender\'s payload' }),
+            responses: success('The payload was recorded')
+        }
+    },
+    '/forms/{formId}': {
+        post: {
+            summary: 'HTML form post mapped to a row',
+            description: 'Redirects (303) to the form\'s successUrl or errorUrl, or answers JSON when asked for it (Accept: application/json or format=json).',
+            tags: ['Webhooks'],
+            parameters: [
+                { name: 'formId', in: 'path', required: true, schema: { type: 'string' } },
+                { name: 'format', in: 'query', schema: { type: 'string', enum: ['json'] } }
+            ],
+            requestBody: {
+                required: true,
+                content: {
+                    'application/x-www-form-urlencoded': { schema: ref('Record') },
+                    'multipart/form-data': { schema: ref('Record') }
+                }
+            },
+            responses: {
+                ...success('The submission was recorded'),
+                303: { description: 'Redirect to the form\'s successUrl or errorUrl' }
+            }
+        }
+    },
+    '/oauth/start': {
+        post: {
+            summary: 'Create a link for linking a Google account',
+            description: 'Returns a URL, valid for 10 minutes, for the user to open in their browser.',
+            tags: ['Google accounts'],
+            requestBody: {
+                required: false,
+                content: {
+                    'application/json': {
+                        schema: {
+                            type: 'object',
+                            properties: {
+                                email: { type: 'string', format: 'email', description: 'Only this Google account can be linked with the URL' }
+                            },
+                            additionalProperties: false
+                        }
+                    }
+                }
+            },
+            responses: success('The start link', {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    url: { type: 'string' },
+                    email: { type: 'string', nullable: true },
+                    expiresAt: { type: 'string', format: 'date-time' }
+                }
+            })
+        },
+        get: {
+            summary: 'Link a Google account',
+            description: 'Opened in the user\'s browser; sets a cookie and redirects to Google\'s consent screen, which returns to GET /oauth.',
+            tags: ['Google accounts'],
+            parameters: [
+                { name: 'link', in: 'query', required: true, description: 'From POST /oauth/start', schema: { type: 'string' } }
+            ],
+            responses: { 302: { description: 'Redirect to Google' } }
+        }
+    },
+    '/oauth': {
+        get: {
+            summary: 'OAuth callback',
+            description: 'Where Google sends the user back after consenting.',
+            tags: ['Google accounts'],
+            parameters: [
+                { name: 'code', in: 'query', schema: { type: 'string' } },
+                { name: 'state', in: 'query', schema: { type: 'string' } },
+                { name: 'error', in: 'query', schema: { type: 'string' } }
+            ],
+            responses: success('The account was linked')
+        }
+    },
+    '/oauth/accounts': {
+        get: {
+            summary: 'List linked Google accounts',
+            tags: ['Google accounts'],
+            responses: success('The linked accounts (no tokens)', {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    total: { type: 'integer' },
+                    accounts: { type: 'array', items: ref('LinkedAccount') }
+                }
+            })
+        }
+    },
+    '/oauth/accounts/{email}': {
+        delete: {
+            summary: 'Revoke and forget a linked Google account',
+            tags: ['Google accounts'],
+            parameters: [{ name: 'email', in: 'path', required: true, schema: { type: 'string', format: 'email' } }],
+            responses: success('The account was unlinked')
+        }
+    },
+    '/outbox': {
+        get: {
+            summary: 'List queued writes',
+            tags: ['Outbox'],
+            parameters: [{ name: 'status', in: 'query', schema: { type: 'string', enum: ['pending', 'done', 'failed'] } }],
+            responses: success('The queued writes', {
+                type: 'object',
+                properties: {
+                    success: { type: 'boolean' },
+                    total: { type: 'integer' },
+                    items: { type: 'array', items: ref('OutboxItem') }
+                }
+            })
+        }
+    },
+    '/outbox/{id}': {
+        get: {
+            summary: 'Status of a queued write',
+            description: 'Only for the API key that queued it, or an admin key.',
+            tags: ['Outbox'],
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            responses: success('The queued write', ref('OutboxItem'))
+        }
+    },
+    '/outbox/{id}/retry': {
+        post: {
+            summary: 'Replay a failed queued write',
+            tags: ['Outbox'],
+            parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }],
+            responses: success('The write was queued again', ref('OutboxItem'), 202)
+        }
+    },
+    '/audit': {
+        get: {
+            summary: 'Query the audit log',
+            description: 'Every write made through the API, newest first. A key scoped to some spreadsheets or sheets only sees their records.',
+            tags: ['Audit'],
+            parameters: [
+                { name: 'from', in: 'query', description: 'Only records at or after this time (ISO 8601 date or date-time)', schema: { type: 'string' } },
+                { name: 'to', in: 'query', description: 'Only records at or before this time; a date includes that whole day (UTC)', schema: { type: 'string' } },
+                { name: 'caller', in: 'query', description: 'An API key ID or IP address', schema: { type: 'string' } },
+                { name: 'spreadsheetId', in: 'query', schema: { type: 'string' } },
+                { name: 'sheetName', in: 'query', schema: { type: 'string' } },
+                { name: 'operation', in: 'query', schema: { type: 'string', enum: AUDIT_OPERATIONS } },
+                { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 1000, default: 100 } }
+            ],
+            responses: {
+                ...success('The matching records', {
+                    type: 'object',
+                    properties: {
+                        success: { type: 'boolean' },
+                        total: { type: 'integer', description: 'Records matching the filters, before limit' },
+                        records: { type: 'array', items: ref('AuditRecord') }
+                    }
+                }),
+                404: jsonResponse('The audit log is off (AUDIT_SINK=off)')
+            }
+        }
+    }
+};
+
+const components = {
+    parameters: {
+        ...Object.fromEntries(Object.entries(targetProperties).map(([name, schema]) => {
+            const { description, ...rest } = schema;
+            return [name, { name, in: 'query', description, schema: rest }];
+        })),
+        IdempotencyKey: {
+            name: 'Idempotency-Key',
+            in: 'header',
+            description: 'A unique value per write, e.g. a UUID. Retrying with the same key and body returns the first response (with Idempotent-Replayed: true) instead of writing again.',
+            schema: { type: 'string', maxLength: 255 }
+        }
+    },
+    schemas: {
+        CellValue: { nullable: true, anyOf: [{ type: 'string' }, { type: 'number' }, { type: 'boolean' }] },
+        Record: { type: 'object', description: 'Values keyed by column header', additionalProperties: true },
+        Success: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                message: { type: 'string' }
+            }
+        },
+        Error: {
+            type: 'object',
+            required: ['error'],
+            properties: {
+                error: { type: 'string' },
+                code: {
+                    type: 'string',
+                    description: 'Set when Google Sheets refused the request (googleErrors.js), or an Idempotency-Key was refused (idempotency.js)',
+                    enum: ['SPREADSHEET_NOT_FOUND', 'SHEET_NOT_FOUND', 'SHEET_NOT_SHARED', 'SHEET_EXISTS', 'QUOTA_EXCEEDED', 'SHEETS_API_DISABLED', 'GOOGLE_AUTH_FAILED', 'GOOGLE_UNAVAILABLE', 'GOOGLE_BAD_REQUEST', 'SHEETS_NOT_INITIALIZED', 'IDEMPOTENCY_KEY_REUSED', 'IDEMPOTENCY_KEY_IN_USE']
+                },
+                hint: { type: 'string', description: 'How to fix the problem' },
+                message: { type: 'string', description: "Google's own message, or other detail" }
+            }
+        },
+        ValidationError: {
+            type: 'object',
+            required: ['error', 'errors'],
+            properties: {
+                error: { type: 'string', example: 'Invalid request' },
+                errors: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            in: { type: 'string', enum: ['path', 'query', 'body'] },
+                            field: { type: 'string', example: 'limit' },
+                            message: { type: 'string', example: 'must be an integer' }
+                        }
+                    }
+                }
+            }
+        },
+        Health: {
+            type: 'object',
+            properties: {
+                status: { type: 'string' },
+                service: { type: 'string' },
+                version: { type: 'string' },
+                timestamp: { type: 'string', format: 'date-time' }
+            }
+        },
+        Readiness: {
+            type: 'object',
+            properties: {
+                status: { type: 'string', enum: ['ready', 'not ready'] },
+                checkedAt: { type: 'string', format: 'date-time' },
+                checks: { type: 'object', additionalProperties: { type: 'object' } }
+            }
+        },
+        Entries: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                headers: { type: 'array', items: { type: 'string' } },
+                data: { type: 'array', items: ref('Record') },
+                total: { type: 'integer' },
+                count: { type: 'integer' },
+                offset: { type: 'integer' },
+                limit: { type: 'integer', nullable: true },
+                nextOffset: { type: 'integer', nullable: true },
+                nextCursor: { type: 'string', nullable: true },
+                range: { type: 'string' }
+            }
+        },
+        WriteResult: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                message: { type: 'string' },
+                updatedCells: { type: 'integer' },
+                updatedRange: { type: 'string' },
+                data: {}
+            }
+        },
+        BatchResult: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                total: { type: 'integer' },
+                written: { type: 'integer' },
+                results: { type: 'array', items: { type: 'object' } }
+            }
+        },
+        Queued: {
+            type: 'object',
+            properties: {
+                success: { type: 'boolean' },
+                queued: { type: 'boolean' },
+                id: { type: 'string' },
+                status: { type: 'string' },
+                statusUrl: { type: 'string' }
+            }
+        },
+        OutboxItem: {
+            type: 'object',
+            properties: {
+                id: { type: 'string' },
+                status: { type: 'string', enum: ['pending', 'done', 'failed'] },
+                operation: { type: 'string' },
+                spreadsheetId: { type: 'string' },
+                sheetName: { type: 'string' },
+                attempts: { type: 'integer' },
+                lastError: { type: 'string', nullable: true },
+                result: { type: 'object', nullable: true },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' }
+            }
+        },
+        SheetInfo: { type: 'object', properties: sheetInfoProperties },
+        AuditRecord: {
+            type: 'object',
+            properties: {
+                timestamp: { type: 'string', format: 'date-time' },
+                operation: { type: 'string', enum: AUDIT_OPERATIONS },
+                route: { type: 'string', example: 'DELETE /entries' },
+                apiKeyId: { type: 'string', nullable: true },
+                ip: { type: 'string', nullable: true },
+                spreadsheetId: { type: 'string' },
+                sheetName: { type: 'string' },
+                range: { type: 'string', nullable: true },
+                before: { description: 'What the write replaced or deleted, when known', nullable: true },
+                after: { description: 'What the write wrote, when known', nullable: true }
+            }
+        },
+        HeaderStyle: {
+            type: 'object',
+            description: 'Formatting of the first row',
+            additionalProperties: false,
+            properties: {
+                bold: { type: 'boolean' },
+                italic: { type: 'boolean' },
+                fontSize: { type: 'integer', minimum: 1, maximum: 400 },
+                textColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', example: '#000000' },
+                backgroundColor: { type: 'string', pattern: '^#[0-9a-fA-F]{6}$', example: '#d9ead3' },
+                horizontalAlignment: { type: 'string', enum: ['LEFT', 'CENTER', 'RIGHT'] }
+            }
+        },
+        ColumnOptions: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                width: { type: 'integer', minimum: 1, maximum: 2000, description: 'Column width in pixels' },
+                numberFormat: {
+                    type: 'object',
+                    required: ['type'],
+                    additionalProperties: false,
+                    properties: {
+                        type: { type: 'string', enum: ['TEXT', 'NUMBER', 'PERCENT', 'CURRENCY', 'DATE', 'TIME', 'DATE_TIME', 'SCIENTIFIC'] },
+                        pattern: { type: 'string', description: "Google Sheets format pattern, e.g. yyyy-mm-dd or #,##0.00; the locale's default when left out" }
+                    }
+                },
+                dropdown: { type: 'array', minItems: 1, maxItems: 500, items: ref('CellValue'), description: 'Allowed values, offered as a dropdown' },
+                strict: { type: 'boolean', default: true, description: 'Reject values not in the dropdown (false only warns)' },
+                checkbox: { type: 'boolean', description: 'Show the column as checkboxes' }
+            }
+        },
+        ProtectedRange: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                range: { type: 'string', description: 'A1 range on the new sheet, e.g. A1:E1 or 1:1; the whole sheet when left out', example: '1:1' },
+                description: { type: 'string' },
+                warningOnly: { type: 'boolean', default: false, description: 'Only warn before edits instead of blocking them' },
+                editors: { type: 'array', items: { type: 'string', format: 'email' }, description: 'Who else may edit it (the owner and the account the proxy acts as always can)' }
+            }
+        },
+        LinkedAccount: {
+            type: 'object',
+            properties: {
+                email: { type: 'string', format: 'email' },
+                scopes: { type: 'array', items: { type: 'string' } },
+                linkedAt: { type: 'string', format: 'date-time' }
+            }
+        }
+    },
+    securitySchemes: {
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearer: { type: 'http', scheme: 'bearer', description: 'The same API key, as a bearer token' }
+    }
+};
+
+// "/entries/:row" (restify) -> "/entries/{row}" (OpenAPI)
+function toOpenApiPath(path) {
+    return path.replace(/:(\w+)/g, '{$1}');
+}
+
+function getOperation(route) {
+    const item = paths[toOpenApiPath(route.path)];
+    return (item && item[route.method.toLowerCase()]) || null;
+}
+
+// A $ref within this document, e.g. "#/components/schemas/Record"
+function resolveRef(object) {
+    if (!object || !object.$ref) {
+        return object;
+    }
+    const resolved = object.$ref.split('/').slice(1).reduce((node, key) => node && node[key], { components });
+    if (!resolved) {
+        throw new Error(`Unresolved $ref ${object.$ref}`);
+    }
+    const { $ref, ...overrides } = object;
+    return { ...resolved, ...overrides };
+}
+
+// Every route documented, and nothing documented that isn't routed
+function checkDocument(routes) {
+    routes.forEach(route => {
+        if (!getOperation(route)) {
+            throw new Error(`${route.method} ${route.path} has no operation in openapi.js`);
+        }
+    });
+
+    Object.entries(paths).forEach(([path, item]) => Object.keys(item).forEach(method => {
+        const routed = routes.some(route => toOpenApiPath(route.path) === path && route.method.toLowerCase() === method);
+        if (!routed) {
+            throw new Error(`${method.toUpperCase()} ${path} is documented in openapi.js but has no route`);
+        }
+    }));
+}
+
+// "get" + "/entries/{row}" -> "getEntriesRow"
+function operationId(method, path) {
+    const words = path.replace(/[{}]/g, '').split(/[/.-]/).filter(Boolean);
+    return method + (words.length > 0 ? words : ['index'])
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+        .join('');
+}
+
+// The full document, with each operation's security and error responses taken
+// from its route
+function buildDocument(routes) {
+    const documented = {};
+
+    routes.forEach(route => {
+        const path = toOpenApiPath(route.path);
+        const method = route.method.toLowerCase();
+        const operation = getOperation(route);
+        const responses = { ...operation.responses };
+
+        if (operation.parameters || operation.requestBody) {
+            responses[400] = jsonResponse('Invalid request', ref('ValidationError'));
+        }
+        if (route.action) {
+            responses[401] = jsonResponse('Missing or invalid API key');
+            responses[403] = jsonResponse(`API key lacks the ${route.action} action for this spreadsheet or sheet`);
+        }
+        if (route.rateLimit !== false || route.action) {
+            responses[429] = jsonResponse('Rate limit exceeded, or too many rejected API keys from this IP (see Retry-After)');
+        }
+        responses[500] = jsonResponse('Internal error');
+
+        documented[path] = documented[path] || {};
+        documented[path][method] = {
+            ...operation,
+            operationId: operationId(method, path),
+            security: route.action ? [{ apiKey: [] }, { bearer: [] }] : [],
+            'x-action': route.action,
+            responses
+        };
+    });
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: SERVICE,
+            version: VERSION,
+            description: 'A REST proxy for reading and writing Google Sheets. On Netlify, every path is under /api.'
+        },
+        servers: [{ url: '/' }],
+        paths: documented,
+        components
+    };
+}
+
+module.exports = { toOpenApiPath, getOperation, resolveRef, checkDocument, buildDocument };
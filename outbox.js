@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Durable queue of writes that couldn't reach Google. Items are kept in memory
+// and written through to a JSON file (OUTBOX_FILE, default: outbox.json), so
+// queued writes survive a restart. routes.js decides what to queue and replays
+// items in order; this module only stores them.
+//
+// Item: { id, route, request, status: 'pending' | 'done' | 'failed', attempts,
+//         lastError, result, createdAt, updatedAt }
+
+let filePath = null;
+let items = [];
+
+function isEnabled() {
+    return filePath !== null;
+}
+
+// Turn the outbox on and load any items left from a previous run
+function enable(file = process.env.OUTBOX_FILE || 'outbox.json') {
+    filePath = path.resolve(file);
+    items = [];
+
+    if (fs.existsSync(filePath)) {
+        try {
+            items = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            console.error(`Outbox file ${filePath} is unreadable, starting empty:`, error.message);
+        }
+    }
+    prune();
+}
+
+// Drop finished items once they're older than the retention window
+function prune() {
+    const retentionMs = (parseInt(process.env.OUTBOX_RETENTION_HOURS) || 168) * 60 * 60 * 1000;
+    const cutoff = Date.now() - retentionMs;
+    items = items.filter(item => item.status === 'pending' || Date.parse(item.updatedAt) >= cutoff);
+}
+
+// Write to a temp file and rename, so a crash mid-write never truncates the outbox
+function save() {
+    prune();
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(items, null, 2));
+    fs.renameSync(tempPath, filePath);
+}
+
+function enqueue(route, request, reason) {
+    const now = new Date().toISOString();
+    const item = {
+        id: crypto.randomUUID(),
+        route,
+        request,
+        status: 'pending',
+        attempts: 0,
+        lastError: reason || null,
+        result: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    items.push(item);
+    save();
+    return item;
+}
+
+function update(id, changes) {
+    const item = get(id);
+    if (!item) {
+        return null;
+    }
+
+    Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+    save();
+    return item;
+}
+
+// Put an item back at the end of the queue with a fresh attempt count
+function requeue(id) {
+    const index = items.findIndex(item => item.id === id);
+    if (index === -1) {
+        return null;
+    }
+
+    const [item] = items.splice(index, 1);
+    items.push(item);
+    return update(id, { status: 'pending', attempts: 0, result: null });
+}
+
+function get(id) {
+    return items.find(item => item.id === id) || null;
+}
+
+function list({ status } = {}) {
+    return status ? items.filter(item => item.status === status) : [...items];
+}
+
+function pending() {
+    return list({ status: 'pending' });
+}
+
+function hasPending() {
+    return items.some(item => item.status === 'pending');
+}
+
+module.exports = { isEnabled, enable, enqueue, update, requeue, get, list, pending, hasPending };
@@ -0,0 +1,239 @@
+const fs = require('fs');
+const path = require('path');
+const { loadJsonConfig } = require('./config');
+
+// Token-bucket rate limiting, shared by the restify server and the Netlify
+// functions (both go through handleRequest in routes.js). Each client gets a
+// bucket per route: the API key's id when the request has one, the client IP
+// otherwise. GET routes use the `read` limit and everything else the `write`
+// limit. A bucket holds `limit + burst` requests and refills at `limit` per
+// `windowSeconds`, so writes can burst above their steady rate.
+//
+// Requests with a missing or unknown API key (401) are counted too, per client
+// IP across every route, against the `auth` limit: once an IP has used it up,
+// its requests get 429 before their key is looked at, so keys can't be guessed
+// at the speed of the server. A known key refused for its scope (403) isn't
+// counted.
+//
+// Limits come from RATE_LIMITS (inline JSON) or RATE_LIMITS_FILE (default:
+// rate-limits.json), merged over DEFAULT_LIMITS:
+//
+// { "enabled": true,
+//   "read": { "limit": 120, "windowSeconds": 60 },
+//   "write": { "limit": 60, "windowSeconds": 60, "burst": 30 },
+//   "auth": { "limit": 10, "windowSeconds": 60 },
+//   "routes": { "POST /forms/:formId": { "limit": 10, "burst": 5 } },
+//   "keys": { "dashboard": { "read": { "limit": 600 } } } }
+//
+// Buckets live in a store: { get(key), set(key, state, ttlMs) }, either of
+// which may return a promise. 'memory' (default, per process) and 'file'
+// (RATE_LIMIT_FILE, default: rate-limits-state.json) are built in, picked with
+// RATE_LIMIT_STORE; setStore() plugs in anything else, such as Redis.
+
+const DEFAULT_LIMITS = {
+    enabled: true,
+    read: { limit: 120, windowSeconds: 60, burst: 0 },
+    write: { limit: 60, windowSeconds: 60, burst: 30 },
+    auth: { limit: 10, windowSeconds: 60, burst: 0 },
+    routes: {},
+    keys: {}
+};
+
+function createMemoryStore() {
+    const buckets = new Map();
+
+    return {
+        get: key => {
+            const entry = buckets.get(key);
+            if (entry && entry.expiresAt <= Date.now()) {
+                buckets.delete(key);
+                return null;
+            }
+            return entry ? entry.state : null;
+        },
+        set: (key, state, ttlMs) => {
+            buckets.set(key, { state, expiresAt: Date.now() + ttlMs });
+        }
+    };
+}
+
+// Shared by every process on the machine. Reads and writes aren't locked, so
+// concurrent requests may occasionally both get the same token.
+function createFileStore(file) {
+    const filePath = path.resolve(file);
+
+    function load() {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    return {
+        get: key => {
+            const entry = load()[key];
+            return entry && entry.expiresAt > Date.now() ? entry.state : null;
+        },
+        set: (key, state, ttlMs) => {
+            const now = Date.now();
+            const buckets = load();
+            Object.keys(buckets).forEach(bucketKey => {
+                if (buckets[bucketKey].expiresAt <= now) {
+                    delete buckets[bucketKey];
+                }
+            });
+            buckets[key] = { state, expiresAt: now + ttlMs };
+
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            fs.writeFileSync(tempPath, JSON.stringify(buckets));
+            fs.renameSync(tempPath, filePath);
+        }
+    };
+}
+
+const STORES = {
+    memory: () => createMemoryStore(),
+    file: () => createFileStore(process.env.RATE_LIMIT_FILE || 'rate-limits-state.json')
+};
+
+let limits = null;
+let store = null;
+
+function checkLimit(limit, where) {
+    if (!(limit.limit > 0) || !(limit.windowSeconds > 0) || !(limit.burst >= 0)) {
+        throw new Error(`Rate limit ${where} needs a positive limit and windowSeconds, and a burst of 0 or more`);
+    }
+}
+
+function loadLimits() {
+    if (!limits) {
+        const config = loadJsonConfig('RATE_LIMITS', 'RATE_LIMITS_FILE', 'rate-limits.json') || {};
+        const merged = {
+            ...DEFAULT_LIMITS,
+            ...config,
+            read: { ...DEFAULT_LIMITS.read, ...config.read },
+            write: { ...DEFAULT_LIMITS.write, ...config.write },
+            auth: { ...DEFAULT_LIMITS.auth, ...config.auth }
+        };
+
+        checkLimit(merged.read, 'read');
+        checkLimit(merged.write, 'write');
+        checkLimit(merged.auth, 'auth');
+        Object.entries(merged.routes).forEach(([route, limit]) => checkLimit({ ...merged.read, ...limit }, `for ${route}`));
+        limits = merged;
+    }
+    return limits;
+}
+
+function getStore() {
+    if (!store) {
+        const name = process.env.RATE_LIMIT_STORE || 'memory';
+        if (!STORES[name]) {
+            throw new Error(`Unknown RATE_LIMIT_STORE '${name}'. Use one of: ${Object.keys(STORES).join(', ')}`);
+        }
+        store = STORES[name]();
+    }
+    return store;
+}
+
+function setStore(customStore) {
+    store = customStore;
+}
+
+// Route overrides apply on top of the read/write limit, key overrides on top of both
+function limitFor(route, keyId) {
+    const config = loadLimits();
+    const kind = route.method === 'GET' ? 'read' : 'write';
+    const routeKey = `${route.method} ${route.path}`;
+    const keyLimits = (keyId && config.keys[keyId]) || {};
+
+    return {
+        ...config[kind],
+        ...config.routes[routeKey],
+        ...keyLimits[kind],
+        ...(keyLimits.routes || {})[routeKey]
+    };
+}
+
+// Refill a bucket and, if it has a token, take one (or just look, with take
+// false). Returns { allowed, tokens, msUntilFull, retryAfter }.
+async function takeToken(bucketKey, { limit, windowSeconds, burst }, take = true) {
+    const capacity = limit + burst;
+    const refillPerMs = limit / (windowSeconds * 1000);
+    const now = Date.now();
+
+    const state = (await getStore().get(bucketKey)) || { tokens: capacity, updatedAt: now };
+    let tokens = Math.min(capacity, state.tokens + (now - state.updatedAt) * refillPerMs);
+
+    const allowed = tokens >= 1;
+    if (allowed && take) {
+        tokens -= 1;
+    }
+
+    // Keep the bucket until it would have refilled completely anyway
+    const msUntilFull = Math.ceil((capacity - tokens) / refillPerMs);
+    if (take) {
+        await getStore().set(bucketKey, { tokens, updatedAt: now }, Math.max(msUntilFull, 1000));
+    }
+
+    const retryAfter = allowed ? null : Math.ceil((1 - tokens) / refillPerMs / 1000);
+    return { allowed, tokens, msUntilFull, retryAfter };
+}
+
+// Take a token for this client and route. Returns { allowed, headers, retryAfter }
+// with the RateLimit-* headers to send either way.
+async function consume(route, { keyId, ip }) {
+    const config = loadLimits();
+    if (config.enabled === false || route.rateLimit === false) {
+        return { allowed: true, headers: {} };
+    }
+
+    const { limit, windowSeconds, burst } = limitFor(route, keyId);
+    const client = keyId ? `key:${keyId}` : `ip:${ip || 'unknown'}`;
+    const { allowed, tokens, msUntilFull, retryAfter } = await takeToken(`${client}|${route.method} ${route.path}`, {
+        limit, windowSeconds, burst
+    });
+
+    const headers = {
+        'RateLimit-Limit': String(limit + burst),
+        'RateLimit-Remaining': String(Math.floor(tokens)),
+        'RateLimit-Reset': String(Math.ceil(msUntilFull / 1000)),
+        'RateLimit-Policy': `${limit};w=${windowSeconds}${burst ? `;burst=${burst}` : ''}`
+    };
+
+    if (allowed) {
+        return { allowed, headers };
+    }
+
+    return {
+        allowed,
+        retryAfter,
+        headers: { ...headers, 'Retry-After': String(retryAfter) }
+    };
+}
+
+function authBucketKey(ip) {
+    return `ip:${ip || 'unknown'}|auth`;
+}
+
+// Whether this IP may have its API key checked. Returns { allowed, retryAfter }.
+async function checkAuthAttempts(ip) {
+    const config = loadLimits();
+    if (config.enabled === false) {
+        return { allowed: true };
+    }
+
+    const { allowed, retryAfter } = await takeToken(authBucketKey(ip), config.auth, false);
+    return allowed ? { allowed } : { allowed, retryAfter };
+}
+
+// Spend one of this IP's attempts on a failed API key check
+async function recordAuthFailure(ip) {
+    const config = loadLimits();
+    if (config.enabled !== false) {
+        await takeToken(authBucketKey(ip), config.auth);
+    }
+}
+
+module.exports = { DEFAULT_LIMITS, STORES, loadLimits, setStore, consume, checkAuthAttempts, recordAuthFailure };
@@ -0,0 +1,148 @@
+const fs = require('fs');
+const path = require('path');
+
+// Cache for sheet reads made by GET /entries, keyed by spreadsheet and range.
+// Off unless READ_CACHE_TTL (seconds) is set. READ_CACHE_BACKEND picks where
+// entries live: 'memory' (default, per process) or 'file' (READ_CACHE_FILE,
+// default: read-cache.json, shared by every process on the machine).
+// GoogleSheetsService clears a sheet's entries after every write it makes, but
+// only in the cache of the process that made the write: with the memory backend
+// and more than one process (or on Netlify, where each function has its own),
+// reads can be up to READ_CACHE_TTL seconds stale after a write through the
+// proxy too, as they always can after edits made outside it.
+//
+// A backend is { get(key), set(key, entry), deleteWhere(test) }, where an entry
+// is { spreadsheetId, sheet, value, expiresAt }.
+
+function createMemoryBackend() {
+    const entries = new Map();
+
+    return {
+        get: key => entries.get(key) || null,
+        set: (key, entry) => {
+            entries.set(key, entry);
+        },
+        deleteWhere: test => {
+            for (const [key, entry] of entries) {
+                if (test(entry)) {
+                    entries.delete(key);
+                }
+            }
+        }
+    };
+}
+
+function createFileBackend(file) {
+    const filePath = path.resolve(file);
+
+    // Re-read on every call so other processes' writes and invalidations are seen
+    function load() {
+        try {
+            return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            return {};
+        }
+    }
+
+    // Write to a temp file and rename, so readers never see a half-written file
+    function save(entries) {
+        const now = Date.now();
+        Object.keys(entries).forEach(key => {
+            if (entries[key].expiresAt <= now) {
+                delete entries[key];
+            }
+        });
+
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify(entries));
+        fs.renameSync(tempPath, filePath);
+    }
+
+    return {
+        get: key => load()[key] || null,
+        set: (key, entry) => {
+            const entries = load();
+            entries[key] = entry;
+            save(entries);
+        },
+        deleteWhere: test => {
+            const entries = load();
+            const keys = Object.keys(entries).filter(key => test(entries[key]));
+            if (keys.length > 0) {
+                keys.forEach(key => delete entries[key]);
+                save(entries);
+            }
+        }
+    };
+}
+
+const BACKENDS = {
+    memory: () => createMemoryBackend(),
+    file: () => createFileBackend(process.env.READ_CACHE_FILE || 'read-cache.json')
+};
+
+let backend = null;
+
+function ttlSeconds() {
+    return Math.max(0, parseInt(process.env.READ_CACHE_TTL) || 0);
+}
+
+function isEnabled() {
+    return ttlSeconds() > 0;
+}
+
+function getBackend() {
+    if (!backend) {
+        const name = process.env.READ_CACHE_BACKEND || 'memory';
+        if (!BACKENDS[name]) {
+            throw new Error(`Unknown READ_CACHE_BACKEND '${name}'. Use one of: ${Object.keys(BACKENDS).join(', ')}`);
+        }
+        backend = BACKENDS[name]();
+    }
+    return backend;
+}
+
+// The sheet an A1 range reads from, e.g. "'My Sheet'!A1:C5" -> "my sheet"
+function sheetOf(range) {
+    const bang = range.lastIndexOf('!');
+    const sheet = bang === -1 ? range : range.slice(0, bang);
+    return sheet.replace(/^'(.*)'$/, '$1').replace(/''/g, "'").toLowerCase();
+}
+
+function cacheKey(spreadsheetId, range) {
+    return JSON.stringify([spreadsheetId, range]);
+}
+
+function get(spreadsheetId, range) {
+    if (!isEnabled()) {
+        return null;
+    }
+
+    const entry = getBackend().get(cacheKey(spreadsheetId, range));
+    return entry && entry.expiresAt > Date.now() ? entry.value : null;
+}
+
+function set(spreadsheetId, range, value) {
+    if (!isEnabled()) {
+        return;
+    }
+
+    getBackend().set(cacheKey(spreadsheetId, range), {
+        spreadsheetId,
+        sheet: sheetOf(range),
+        value,
+        expiresAt: Date.now() + ttlSeconds() * 1000
+    });
+}
+
+// Drop every cached read of a sheet (or of the whole spreadsheet without a sheetName)
+function invalidate(spreadsheetId, sheetName) {
+    if (!isEnabled()) {
+        return;
+    }
+
+    const sheet = sheetName ? sheetName.toLowerCase() : null;
+    getBackend().deleteWhere(entry => entry.spreadsheetId === spreadsheetId && (!sheet || entry.sheet === sheet));
+}
+
+module.exports = { BACKENDS, ttlSeconds, isEnabled, get, set, invalidate };
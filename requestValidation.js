@@ -0,0 +1,229 @@
+const { HttpError } = require('./errors');
+const { isRecord } = require('./rowMapper');
+const { getOperation, resolveRef } = require('./openapi');
+
+// Check a request's path and query parameters and its body against the route's
+// OpenAPI operation (openapi.js). Only the subset of JSON Schema listed in
+// KEYWORDS is understood; checkSchemas() fails startup if the document uses
+// anything else, rather than letting it go unchecked. Unknown query params and
+// body properties are allowed, since clients have always been able to send them.
+
+const KEYWORDS = [
+    '$ref', 'type', 'nullable', 'enum', 'anyOf', 'properties', 'required', 'additionalProperties',
+    'items', 'minimum', 'maximum', 'minLength', 'maxLength', 'pattern', 'minItems', 'maxItems',
+    // Annotations only
+    'title', 'description', 'default', 'example', 'format'
+];
+
+const TYPE_NAMES = {
+    string: 'a string',
+    number: 'a number',
+    integer: 'an integer',
+    boolean: 'true or false',
+    array: 'an array',
+    object: 'an object'
+};
+
+const TYPES = {
+    string: value => typeof value === 'string',
+    number: value => typeof value === 'number' && Number.isFinite(value),
+    integer: value => Number.isInteger(value),
+    boolean: value => typeof value === 'boolean',
+    array: value => Array.isArray(value),
+    object: isRecord
+};
+
+class RequestValidationError extends HttpError {
+    constructor(errors) {
+        super(400, 'Invalid request', { errors });
+        this.name = 'RequestValidationError';
+    }
+}
+
+function describe(schema) {
+    return schema.title || TYPE_NAMES[schema.type] || 'a valid value';
+}
+
+// Errors for `value` against `schema`, as { field, message }. `field` is the
+// path to the value, e.g. "rows[2]" or "options.unknownKeys".
+function checkValue(schema, value, field) {
+    schema = resolveRef(schema);
+
+    if (value === null) {
+        return schema.nullable || (!schema.type && !schema.anyOf) ? [] : [{ field, message: 'must not be null' }];
+    }
+
+    if (schema.anyOf) {
+        const matches = schema.anyOf.some(option => checkValue(option, value, field).length === 0);
+        if (!matches) {
+            return [{ field, message: `must be ${schema.anyOf.map(option => describe(resolveRef(option))).join(' or ')}` }];
+        }
+    }
+
+    if (schema.type && !TYPES[schema.type](value)) {
+        return [{ field, message: `must be ${describe(schema)}` }];
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ field, message: `must be one of: ${schema.enum.join(', ')}` }];
+    }
+
+    const errors = [];
+    const fail = message => errors.push({ field, message });
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            fail(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            fail(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+            fail(`must be at most ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            fail(`must match the pattern ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fail(schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fail(`must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...checkValue(schema.items, item, `${field}[${index}]`)));
+        }
+    }
+
+    if (isRecord(value)) {
+        const child = name => field ? `${field}.${name}` : name;
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(name => {
+            if (value[name] === undefined) {
+                errors.push({ field: child(name), message: 'is required' });
+            }
+        });
+
+        Object.entries(value).forEach(([name, propertyValue]) => {
+            if (properties[name]) {
+                errors.push(...checkValue(properties[name], propertyValue, child(name)));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: child(name), message: 'is not allowed' });
+            } else if (isRecord(schema.additionalProperties)) {
+                errors.push(...checkValue(schema.additionalProperties, propertyValue, child(name)));
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Path and query values arrive as strings (or arrays of them, for repeated
+// query params); read them as the parameter's type so checkValue can judge them
+function fromString(schema, value) {
+    schema = resolveRef(schema);
+
+    if (schema.type === 'array') {
+        return (Array.isArray(value) ? value : [value]).map(item => fromString(schema.items || {}, item));
+    }
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    if (schema.type === 'boolean' && ['true', 'false'].includes(value)) {
+        return value === 'true';
+    }
+    return value;
+}
+
+function checkParameters(operation, request) {
+    const sources = { path: request.params, query: request.query };
+
+    return (operation.parameters || []).flatMap(reference => {
+        const parameter = resolveRef(reference);
+        const value = (sources[parameter.in] || {})[parameter.name];
+
+        if (value === undefined || value === '') {
+            return parameter.required ? [{ in: parameter.in, field: parameter.name, message: 'is required' }] : [];
+        }
+
+        if (Array.isArray(value) && resolveRef(parameter.schema).type !== 'array') {
+            return [{ in: parameter.in, field: parameter.name, message: 'must not be repeated' }];
+        }
+        return checkValue(parameter.schema, fromString(parameter.schema, value), parameter.name)
+            .map(error => ({ in: parameter.in, ...error }));
+    });
+}
+
+// The JSON schema when the operation takes JSON, otherwise its only media type's
+function bodySchema(operation) {
+    const content = (operation.requestBody && operation.requestBody.content) || {};
+    const media = content['application/json'] || Object.values(content)[0];
+    return media && media.schema;
+}
+
+function checkBody(operation, request) {
+    const schema = bodySchema(operation);
+    if (!schema) {
+        return [];
+    }
+    return checkValue(schema, request.body, '').map(error => ({ in: 'body', ...error, field: error.field || '(body)' }));
+}
+
+// Throws a 400 listing every problem at once
+function validateRequest(route, request) {
+    const operation = getOperation(route);
+    const errors = [...checkParameters(operation, request), ...checkBody(operation, request)];
+    if (errors.length > 0) {
+        throw new RequestValidationError(errors);
+    }
+}
+
+// Every keyword in a schema (and the schemas within it) is one checkValue understands
+function checkSchema(schema, where) {
+    if (!isRecord(schema)) {
+        return;
+    }
+    Object.keys(schema).forEach(keyword => {
+        if (!KEYWORDS.includes(keyword)) {
+            throw new Error(`${where} uses '${keyword}', which request validation doesn't support`);
+        }
+    });
+    if (schema.type && !TYPES[schema.type]) {
+        throw new Error(`${where} has unknown type '${schema.type}'`);
+    }
+    if (schema.pattern) {
+        new RegExp(schema.pattern);
+    }
+    if (schema.$ref) {
+        checkSchema(resolveRef({ $ref: schema.$ref }), `${where} (${schema.$ref})`);
+    }
+    (schema.anyOf || []).forEach((option, index) => checkSchema(option, `${where}.anyOf[${index}]`));
+    Object.entries(schema.properties || {}).forEach(([name, property]) => checkSchema(property, `${where}.${name}`));
+    checkSchema(schema.items, `${where}[]`);
+    checkSchema(schema.additionalProperties, `${where}.*`);
+}
+
+// Run at startup (index.js), alongside openapi.js checkDocument
+function checkSchemas(routes) {
+    routes.forEach(route => {
+        const operation = getOperation(route);
+        const name = `${route.method} ${route.path}`;
+        (operation.parameters || []).forEach(reference => {
+            const parameter = resolveRef(reference);
+            checkSchema(parameter.schema, `${name} parameter ${parameter.name}`);
+        });
+        checkSchema(bodySchema(operation), `${name} body`);
+    });
+}
+
+module.exports = { RequestValidationError, validateRequest, checkSchemas };
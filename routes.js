@@ -0,0 +1,1224 @@
+const crypto = require('crypto');
+const { ApiKeyError, authorize, canAccessSheet, canAccessSpreadsheet } = require('./apiKeys');
+const { HttpError, isTransientError } = require('./errors');
+const { translateGoogleError } = require('./googleErrors');
+const outbox = require('./outbox');
+const { isRecord, rowToRecord } = require('./rowMapper');
+const { queryRecords } = require('./entryQuery');
+const { getSchema } = require('./schemas');
+const readCache = require('./readCache');
+const rateLimit = require('./rateLimit');
+const idempotency = require('./idempotency');
+const audit = require('./audit');
+const archive = require('./archive');
+const cors = require('./cors');
+const { handleShopifyOrder } = require('./shopifyWebhook');
+const { handleHook } = require('./webhooks');
+const { submitForm } = require('./forms');
+const oauth = require('./oauth');
+const health = require('./health');
+const openapi = require('./openapi');
+const { validateRequest } = require('./requestValidation');
+
+// Route handlers shared by the restify server (index.js) and the Netlify
+// functions (netlifyAdapter.js). Each handler receives a runtime-neutral request
+// ({ method, params, query, body, rawBody, headers, ip, target }), the GoogleSheetsService
+// for its target, and `getSheetsService(target)` (serviceAccounts.js) to get the
+// client for another target; it resolves to { status, body, headers?, audit? }.
+
+function json(status, body, headers) {
+    return { status, body, headers };
+}
+
+// A write's response plus what it changed, for the audit log (audit.js).
+// handleRequest records `audit` and leaves it out of the response.
+function audited(response, change) {
+    return { ...response, audit: change };
+}
+
+// Attach an ETag and Cache-Control to a read, answering 304 when the client's
+// If-None-Match already has this body
+function cacheable(request, status, body) {
+    const etag = `"${crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url')}"`;
+    const headers = {
+        'ETag': etag,
+        'Cache-Control': `private, max-age=${readCache.ttlSeconds()}`
+    };
+
+    const ifNoneMatch = request.headers['if-none-match'];
+    if (ifNoneMatch) {
+        const tags = ifNoneMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+        if (tags.includes(etag) || tags.includes('*')) {
+            return json(304, undefined, headers);
+        }
+    }
+
+    return json(status, body, headers);
+}
+
+function healthCheck() {
+    return json(200, {
+        status: 'healthy',
+        service: health.SERVICE,
+        version: health.VERSION,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// The endpoint list, from the OpenAPI document so it can't go stale
+function apiIndex() {
+    const { paths } = openapi.buildDocument(routes);
+    const endpoints = {};
+    routes.forEach(route => {
+        endpoints[`${route.method} ${route.path}`] = paths[openapi.toOpenApiPath(route.path)][route.method.toLowerCase()].summary;
+    });
+
+    return json(200, {
+        service: health.SERVICE,
+        version: health.VERSION,
+        documentation: '/docs',
+        openapi: '/openapi.json',
+        endpoints
+    });
+}
+
+function getOpenApiDocument() {
+    return json(200, openapi.buildDocument(routes));
+}
+
+// Get entries from a sheet as header-keyed records, filtered, sorted and paged
+// per entryQuery.js. format=rows returns the raw value rows instead.
+async function getEntries(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+    const { includeHeader, range, startRow, endRow, format } = request.query;
+
+    if (!spreadsheetId || !sheetName) {
+        return json(400, {
+            error: 'Missing required parameters: spreadsheetId and sheetName'
+        });
+    }
+
+    const readOptions = {
+        includeHeader: includeHeader !== 'false', // Default to true unless explicitly false
+        range: range || null,
+        startRow: startRow ? parseInt(startRow) : null,
+        endRow: endRow ? parseInt(endRow) : null,
+        cache: true
+    };
+
+    if (format === 'rows') {
+        const result = await sheetsService.getRows(spreadsheetId, sheetName, readOptions);
+        return cacheable(request, 200, {
+            success: true,
+            ...result
+        });
+    }
+
+    const { headers, records, range: readRange } = await sheetsService.getRecords(spreadsheetId, sheetName, readOptions);
+    const result = queryRecords(records, headers, request.query);
+
+    return cacheable(request, 200, {
+        success: true,
+        ...result,
+        range: readRange
+    });
+}
+
+// Add an entry to a sheet. `data` is either a positional array of values, or a
+// header-keyed object (or array of objects) mapped onto the sheet's columns.
+async function createEntry(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+    const { data, options = {} } = request.body;
+
+    if (!spreadsheetId || !sheetName) {
+        return json(400, {
+            error: 'Missing required parameters: spreadsheetId and sheetName'
+        });
+    }
+
+    const records = isRecord(data) ? [data] : data;
+    if (Array.isArray(records) && records.length > 0 && records.every(isRecord)) {
+        const result = await sheetsService.appendRecords(spreadsheetId, sheetName, records, options);
+
+        return audited(json(200, {
+            success: true,
+            message: `${records.length} ${records.length === 1 ? 'entry' : 'entries'} added successfully`,
+            updatedCells: result.updatedCells,
+            updatedRange: result.updatedRange,
+            data: result.data,
+            addedColumns: result.addedColumns,
+            ignoredKeys: result.ignoredKeys
+        }), { operation: 'append', range: result.updatedRange, after: result.data });
+    }
+
+    if (!data || !Array.isArray(data) || data.some(isRecord)) {
+        return json(400, {
+            error: 'Data must be provided as an array of values, an object, or an array of objects'
+        });
+    }
+
+    const result = await sheetsService.appendRow(spreadsheetId, sheetName, data, options);
+
+    return audited(json(200, {
+        success: true,
+        message: 'Entry added successfully',
+        updatedCells: result.updatedCells,
+        updatedRange: result.updatedRange,
+        data: result.data
+    }), { operation: 'append', range: result.updatedRange, after: [result.data] });
+}
+
+// Append many rows at once; each row gets its own success/error result
+async function createEntriesBatch(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+    const { rows, options = {} } = request.body;
+    const maxRows = parseInt(process.env.BATCH_MAX_ROWS) || 1000;
+
+    if (!spreadsheetId || !sheetName) {
+        return json(400, {
+            error: 'Missing required parameters: spreadsheetId and sheetName'
+        });
+    }
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+        return json(400, {
+            error: 'Rows must be provided as a non-empty array'
+        });
+    }
+
+    if (rows.length > maxRows) {
+        return json(400, {
+            error: `Too many rows: ${rows.length}. A batch may contain at most ${maxRows} rows.`
+        });
+    }
+
+    const result = await sheetsService.appendBatch(spreadsheetId, sheetName, rows, options);
+
+    // Nothing written because of invalid rows is a client error; partial success is still a 200
+    if (result.written === 0) {
+        return json(422, {
+            message: `${result.written} of ${result.total} row(s) added`,
+            ...result
+        });
+    }
+
+    return audited(json(200, {
+        message: `${result.written} of ${result.total} row(s) added`,
+        ...result
+    }), {
+        operation: 'append',
+        after: result.results.filter(row => row.success).map(row => ({ range: row.range, values: rows[row.index] }))
+    });
+}
+
+// Update only the named fields of one row: PATCH /entries/:row { data: { Column: value } }
+async function updateEntry(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+    const { data, options = {} } = request.body;
+    const rowNumber = Number(request.params.row);
+
+    if (!spreadsheetId || !sheetName) {
+        return json(400, {
+            error: 'Missing required parameters: spreadsheetId and sheetName'
+        });
+    }
+
+    if (!Number.isInteger(rowNumber) || rowNumber < 1) {
+        return json(400, {
+            error: `Invalid row number: ${request.params.row}. Row numbers must be positive integers.`
+        });
+    }
+
+    if (!isRecord(data)) {
+        return json(400, {
+            error: 'Data must be an object keyed by column header'
+        });
+    }
+
+    const { previous, ...result } = await sheetsService.updateRecord(spreadsheetId, sheetName, rowNumber, data, options);
+
+    return audited(json(200, {
+        message: `Row ${rowNumber} updated successfully`,
+        ...result
+    }), { operation: 'update', range: result.updatedRange, before: previous, after: result.data });
+}
+
+// Update the row whose keyColumn matches data[keyColumn], or append data as a new row
+async function upsertEntry(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+    const { keyColumn, data, options = {} } = request.body;
+
+    if (!spreadsheetId || !sheetName) {
+        return json(400, {
+            error: 'Missing required parameters: spreadsheetId and sheetName'
+        });
+    }
+
+    if (!keyColumn) {
+        return json(400, {
+            error: 'Missing required parameter: keyColumn'
+        });
+    }
+
+    if (!isRecord(data)) {
+        return json(400, {
+            error: 'Data must be an object keyed by column header'
+        });
+    }
+
+    const { previous, ...result } = await sheetsService.upsertRecord(spreadsheetId, sheetName, keyColumn, data, options);
+    const inserted = result.operation === 'inserted';
+
+    return audited(json(200, {
+        message: inserted ? 'Entry added successfully' : 'Entry updated successfully',
+        ...result
+    }), {
+        operation: inserted ? 'append' : 'update',
+        range: result.updatedRange,
+        before: previous,
+        after: result.data
+    });
+}
+
+// Delete rows by their 1-based row numbers. With soft delete on (archive.js)
+// they're archived first; rows deleted from the archive itself are gone for good.
+async function deleteEntries(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+    const { rowNumbers } = request.body;
+
+    if (!spreadsheetId || !sheetName) {
+        return json(400, {
+            error: 'Missing required parameters: spreadsheetId and sheetName'
+        });
+    }
+
+    if (!rowNumbers || !Array.isArray(rowNumbers) || rowNumbers.length === 0) {
+        return json(400, {
+            error: 'Missing or invalid rowNumbers parameter. Must be an array of row numbers.'
+        });
+    }
+
+    const invalidRows = rowNumbers.filter(row => !Number.isInteger(row) || row < 1);
+    if (invalidRows.length > 0) {
+        return json(400, {
+            error: `Invalid row numbers: ${invalidRows.join(', ')}. Row numbers must be positive integers.`
+        });
+    }
+
+    const uniqueRows = [...new Set(rowNumbers)];
+    const archiving = archive.isEnabled() && sheetName !== archive.archiveSheetName();
+
+    // Read the rows first, to archive them and so the audit log keeps what was deleted
+    const existing = archiving || audit.isEnabled()
+        ? await sheetsService.getRowValues(spreadsheetId, sheetName, uniqueRows)
+        : null;
+
+    const result = archiving
+        ? await archive.softDeleteRows(sheetsService, {
+            spreadsheetId,
+            sheetName,
+            rows: uniqueRows.map((row, i) => ({ row, cells: existing.cells[i] })),
+            deletedBy: request.apiKey ? request.apiKey.id : request.ip
+        })
+        : await sheetsService.deleteRows(spreadsheetId, sheetName, uniqueRows);
+
+    return audited(json(200, {
+        success: true,
+        ...result,
+        message: `Successfully ${archiving ? 'archived and ' : ''}deleted ${result.deletedCount} row(s): ${result.deletedRows.join(', ')}`
+    }), {
+        operation: 'delete',
+        range: result.deletedRows.map(row => `${sheetName}!${row}:${row}`).join(','),
+        before: existing ? uniqueRows.map((row, i) => ({ _row: row, ...rowToRecord(existing.headers, existing.rows[i]) })) : undefined,
+        after: archiving ? { archiveSheet: result.archiveSheet, archived: result.archived } : undefined
+    });
+}
+
+// Put soft-deleted rows back at the end of the sheet they came from
+async function restoreEntries(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+    const { ids } = request.body;
+
+    if (!spreadsheetId || !sheetName) {
+        return json(400, {
+            error: 'Missing required parameters: spreadsheetId and sheetName'
+        });
+    }
+
+    if (!archive.isEnabled()) {
+        return json(404, { error: 'Soft delete is not enabled on this deployment' });
+    }
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+        return json(400, {
+            error: 'Missing or invalid ids parameter. Must be an array of archive IDs.'
+        });
+    }
+
+    const result = await archive.restoreRows(sheetsService, { spreadsheetId, sheetName, ids });
+
+    return audited(json(200, {
+        success: result.failed.length === 0,
+        ...result,
+        message: `Restored ${result.restoredCount} of ${result.total} row(s) to '${sheetName}'`
+    }), {
+        operation: 'restore',
+        after: result.restored.map(({ id, range, values }) => ({ id, range, values }))
+    });
+}
+
+// Create a new sheet, optionally with a header row and a provisioning spec
+// (frozen rows, header style, column formats and validation, protected ranges)
+async function createSheet(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+    const { headers, frozenRows, frozenColumns, headerStyle, columns, protectedRanges } = request.body;
+
+    if (!spreadsheetId || !sheetName) {
+        return json(400, {
+            error: 'Missing required parameters: spreadsheetId and sheetName'
+        });
+    }
+
+    const result = await sheetsService.createSheet(spreadsheetId, sheetName, {
+        headers,
+        frozenRows,
+        frozenColumns,
+        headerStyle,
+        columns,
+        protectedRanges
+    });
+
+    return audited(json(200, {
+        success: true,
+        sheetId: result.sheetId,
+        sheetName: result.sheetName,
+        message: result.message
+    }), {
+        operation: 'createSheet',
+        after: { sheetId: result.sheetId, headers, frozenRows, frozenColumns, headerStyle, columns, protectedRanges }
+    });
+}
+
+// List a spreadsheet's sheets (tabs) with their size, frozen rows and header row.
+// A key scoped to some sheets only sees those.
+async function listSheets(request, sheetsService) {
+    const { spreadsheetId } = request.target;
+
+    if (!spreadsheetId) {
+        return json(400, {
+            error: 'Missing required parameter: spreadsheetId'
+        });
+    }
+
+    const { title, sheets } = await sheetsService.listSheets(spreadsheetId);
+    const visible = sheets.filter(sheet => canAccessSheet(request.apiKey, sheet.sheetName));
+
+    return cacheable(request, 200, {
+        success: true,
+        spreadsheetId,
+        title,
+        total: visible.length,
+        sheets: visible
+    });
+}
+
+async function getSheet(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+
+    if (!spreadsheetId) {
+        return json(400, {
+            error: 'Missing required parameter: spreadsheetId'
+        });
+    }
+
+    const sheet = await sheetsService.getSheet(spreadsheetId, sheetName);
+
+    return cacheable(request, 200, {
+        success: true,
+        spreadsheetId,
+        ...sheet
+    });
+}
+
+// The sheet an A1 range names, if any: "'Audit Log'!A1:J" -> "Audit Log"
+function sheetInRange(range) {
+    if (typeof range !== 'string' || !range.includes('!')) {
+        return undefined;
+    }
+    return range.slice(0, range.lastIndexOf('!')).replace(/^'(.*)'$/, '$1').replace(/''/g, "'");
+}
+
+// The sheets other than sheetName that the request's ranges name: a range such
+// as "Other!A1" reads or writes that sheet, whatever sheetName says
+function rangeSheets(request) {
+    const body = request.body || {};
+    const names = [sheetInRange((request.query || {}).range), sheetInRange((body.options || {}).range)];
+    return [...new Set(names.filter(name => name !== undefined && name !== request.target.sheetName))];
+}
+
+// The audit log's tab (audit.js) is written by the audit log alone: no route may
+// read, write, rename, copy or delete it, whether by naming it as the sheet, by
+// a range on it, or by giving another sheet its name
+function assertNotAuditSheet(request) {
+    const { spreadsheetId, sheetName } = request.target;
+    const names = [sheetName, (request.body || {}).newName, ...rangeSheets(request)];
+
+    if (names.some(name => audit.isAuditSheet(spreadsheetId, name))) {
+        throw new HttpError(403, 'The audit log sheet is only available through GET /audit', { code: 'AUDIT_SHEET' });
+    }
+}
+
+// A sheet's new name must be in the key's scope too, or renaming (or copying)
+// a sheet would move it out of reach of the key's own restrictions
+function authorizeNewName(request, newName) {
+    authorize(request.headers, {
+        action: 'admin',
+        spreadsheetId: request.target.spreadsheetId,
+        sheetName: newName
+    });
+}
+
+async function renameSheet(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+    const { newName } = request.body;
+
+    if (!spreadsheetId) {
+        return json(400, {
+            error: 'Missing required parameter: spreadsheetId'
+        });
+    }
+
+    if (!newName || typeof newName !== 'string') {
+        return json(400, {
+            error: 'Missing required parameter: newName'
+        });
+    }
+
+    authorizeNewName(request, newName);
+    const sheet = await sheetsService.renameSheet(spreadsheetId, sheetName, newName);
+
+    return audited(json(200, {
+        success: true,
+        spreadsheetId,
+        ...sheet,
+        message: `Sheet "${sheetName}" renamed to "${newName}"`
+    }), { operation: 'renameSheet', before: { sheetName }, after: { sheetName: newName } });
+}
+
+// Copy a sheet, values and formatting included
+async function duplicateSheet(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+    const { newName, index } = request.body;
+
+    if (!spreadsheetId) {
+        return json(400, {
+            error: 'Missing required parameter: spreadsheetId'
+        });
+    }
+
+    if (newName !== undefined) {
+        authorizeNewName(request, newName);
+    }
+    const sheet = await sheetsService.duplicateSheet(spreadsheetId, sheetName, { newName, index });
+
+    return audited(json(201, {
+        success: true,
+        spreadsheetId,
+        ...sheet,
+        message: `Sheet "${sheetName}" copied to "${sheet.sheetName}"`
+    }), { operation: 'duplicateSheet', after: sheet });
+}
+
+// Deleting a sheet loses its data, so the caller has to repeat the sheet's
+// name in `confirm`
+async function deleteSheet(request, sheetsService) {
+    const { spreadsheetId, sheetName } = request.target;
+
+    if (!spreadsheetId) {
+        return json(400, {
+            error: 'Missing required parameter: spreadsheetId'
+        });
+    }
+
+    if (request.query.confirm !== sheetName) {
+        return json(400, {
+            error: `Deleting a sheet can't be undone. Repeat its name to confirm: ?confirm=${encodeURIComponent(sheetName)}`
+        });
+    }
+
+    const before = audit.isEnabled() ? await sheetsService.getSheet(spreadsheetId, sheetName) : undefined;
+    const result = await sheetsService.deleteSheet(spreadsheetId, sheetName);
+
+    return audited(json(200, {
+        success: true,
+        spreadsheetId,
+        ...result,
+        message: `Sheet "${sheetName}" deleted`
+    }), { operation: 'deleteSheet', before: before || result });
+}
+
+// Expose a sheet's column schema so clients can validate before submitting
+function getSheetSchema(request) {
+    const { spreadsheetId, sheetName } = request.target;
+
+    if (!spreadsheetId) {
+        return json(400, {
+            error: 'Missing required parameter: spreadsheetId'
+        });
+    }
+
+    const schema = getSchema(spreadsheetId, sheetName);
+    if (!schema) {
+        return json(404, {
+            error: `No schema defined for sheet '${sheetName}'`
+        });
+    }
+
+    return json(200, {
+        success: true,
+        spreadsheetId,
+        sheetName,
+        columns: schema.columns
+    });
+}
+
+// Status of a queued write, for the client that queued it (or an admin key)
+function getOutboxItem(request) {
+    const item = outbox.isEnabled() ? outbox.get(request.params.id) : null;
+    const apiKey = request.apiKey;
+    const isOwner = !apiKey || item?.request.apiKeyId === apiKey.id || (apiKey.actions || []).includes('admin');
+
+    if (!item || !isOwner) {
+        return json(404, {
+            error: `No queued write with id ${request.params.id}`
+        });
+    }
+
+    return json(200, {
+        success: true,
+        ...describeOutboxItem(item)
+    });
+}
+
+// Admin: list queued writes, optionally by status (pending, done, failed)
+function listOutbox(request) {
+    if (!outbox.isEnabled()) {
+        return json(404, { error: 'The outbox is not enabled on this deployment' });
+    }
+
+    const items = outbox.list({ status: request.query.status });
+    return json(200, {
+        success: true,
+        total: items.length,
+        items: items.map(describeOutboxItem)
+    });
+}
+
+// Admin: put a failed write back in the queue and replay it
+function retryOutboxItem(request, sheetsService, getSheetsService) {
+    const item = outbox.isEnabled() ? outbox.get(request.params.id) : null;
+
+    if (!item) {
+        return json(404, {
+            error: `No queued write with id ${request.params.id}`
+        });
+    }
+
+    if (item.status !== 'failed') {
+        return json(409, {
+            error: `Only failed writes can be retried; this one is ${item.status}`
+        });
+    }
+
+    // Requeued items go to the back so they don't jump ahead of newer pending writes
+    outbox.requeue(item.id);
+    drainOutbox(getSheetsService).catch(error => console.error('Outbox replay failed:', error));
+
+    return json(202, {
+        success: true,
+        ...describeOutboxItem(outbox.get(item.id))
+    });
+}
+
+// Admin: the audit log, newest first. A key scoped to some spreadsheets or
+// sheets only sees their records.
+async function getAuditLog(request, sheetsService, getSheetsService) {
+    if (!audit.isEnabled()) {
+        return json(404, { error: 'The audit log is not enabled on this deployment' });
+    }
+
+    const { from, to, caller, spreadsheetId, sheetName, operation, limit } = request.query;
+
+    const badTime = [['from', from], ['to', to]].find(([, value]) => value && Number.isNaN(Date.parse(value)));
+    if (badTime) {
+        return json(400, {
+            error: `Invalid ${badTime[0]}: ${badTime[1]}. Use an ISO 8601 date or date-time, e.g. 2024-05-01T00:00:00Z.`
+        });
+    }
+
+    const { total, records } = await audit.query({
+        from,
+        to,
+        caller,
+        spreadsheetId,
+        sheetName,
+        operation,
+        limit,
+        canAccess: entry => canAccessSpreadsheet(request.apiKey, entry.spreadsheetId) &&
+            canAccessSheet(request.apiKey, entry.sheetName)
+    }, getSheetsService);
+
+    return json(200, {
+        success: true,
+        total,
+        records
+    });
+}
+
+// Every route is described in openapi.js, and requests are checked against
+// that description before the handler runs (requestValidation.js).
+// `action` is the API key permission the route needs (none = public).
+// `usesSheets: false` marks protected routes that never call Google. Public
+// routes that write (webhooks, forms) call getSheetsService themselves once the
+// request is verified, for the spreadsheet their own config names.
+// `rateLimit: false` exempts a route from rate limiting (rateLimit.js).
+// `outbox: true` marks writes that are queued (202) when Google is unreachable.
+// `idempotent: true` routes honour an Idempotency-Key header (idempotency.js).
+// Writes are audited when their handler returns `audit` (see audited()).
+// `defaults` lists target params that fall back to GOOGLE_SHEET_ID / GOOGLE_SHEET_SHEET.
+const routes = [
+    {
+        method: 'GET',
+        path: '/',
+        handler: apiIndex
+    },
+    {
+        method: 'GET',
+        path: '/openapi.json',
+        handler: getOpenApiDocument
+    },
+    {
+        method: 'GET',
+        path: '/health',
+        rateLimit: false,
+        handler: healthCheck
+    },
+    {
+        method: 'GET',
+        path: '/health/live',
+        rateLimit: false,
+        handler: health.liveness
+    },
+    {
+        method: 'GET',
+        path: '/health/ready',
+        rateLimit: false,
+        handler: health.readiness
+    },
+    {
+        method: 'GET',
+        path: '/entries',
+        action: 'read',
+        failure: 'Failed to retrieve entries',
+        handler: getEntries
+    },
+    {
+        method: 'POST',
+        path: '/entries',
+        action: 'append',
+        defaults: ['spreadsheetId', 'sheetName'],
+        failure: 'Failed to create entry',
+        outbox: true,
+        idempotent: true,
+        handler: createEntry
+    },
+    {
+        method: 'POST',
+        path: '/entries/batch',
+        action: 'append',
+        defaults: ['spreadsheetId', 'sheetName'],
+        failure: 'Failed to add entries',
+        outbox: true,
+        idempotent: true,
+        handler: createEntriesBatch
+    },
+    {
+        method: 'PUT',
+        path: '/entries',
+        action: 'update',
+        defaults: ['spreadsheetId', 'sheetName'],
+        failure: 'Failed to upsert entry',
+        outbox: true,
+        handler: upsertEntry
+    },
+    {
+        method: 'PATCH',
+        path: '/entries/:row',
+        action: 'update',
+        defaults: ['spreadsheetId', 'sheetName'],
+        failure: 'Failed to update entry',
+        outbox: true,
+        handler: updateEntry
+    },
+    {
+        method: 'DELETE',
+        path: '/entries',
+        action: 'delete',
+        failure: 'Failed to delete entries',
+        handler: deleteEntries
+    },
+    {
+        method: 'POST',
+        path: '/entries/restore',
+        action: 'delete',
+        failure: 'Failed to restore entries',
+        handler: restoreEntries
+    },
+    {
+        method: 'GET',
+        path: '/schemas/:sheetName',
+        action: 'read',
+        usesSheets: false,
+        defaults: ['spreadsheetId'],
+        failure: 'Failed to retrieve schema',
+        handler: getSheetSchema
+    },
+    {
+        method: 'POST',
+        path: '/sheets',
+        action: 'admin',
+        defaults: ['spreadsheetId'],
+        failure: 'Failed to create sheet',
+        handler: createSheet
+    },
+    {
+        method: 'GET',
+        path: '/sheets',
+        action: 'read',
+        defaults: ['spreadsheetId'],
+        failure: 'Failed to list sheets',
+        handler: listSheets
+    },
+    {
+        method: 'GET',
+        path: '/sheets/:sheetName',
+        action: 'read',
+        defaults: ['spreadsheetId'],
+        failure: 'Failed to retrieve sheet',
+        handler: getSheet
+    },
+    {
+        method: 'PATCH',
+        path: '/sheets/:sheetName',
+        action: 'admin',
+        defaults: ['spreadsheetId'],
+        failure: 'Failed to rename sheet',
+        handler: renameSheet
+    },
+    {
+        method: 'POST',
+        path: '/sheets/:sheetName/duplicate',
+        action: 'admin',
+        defaults: ['spreadsheetId'],
+        failure: 'Failed to duplicate sheet',
+        handler: duplicateSheet
+    },
+    {
+        method: 'DELETE',
+        path: '/sheets/:sheetName',
+        action: 'admin',
+        defaults: ['spreadsheetId'],
+        failure: 'Failed to delete sheet',
+        handler: deleteSheet
+    },
+    {
+        method: 'POST',
+        path: '/shopify-order',
+        failure: 'Failed to record Shopify order',
+        handler: handleShopifyOrder
+    },
+    {
+        method: 'POST',
+        path: '/hooks/:hookId',
+        failure: 'Failed to record webhook',
+        handler: handleHook
+    },
+    {
+        method: 'POST',
+        path: '/forms/:formId',
+        failure: 'Failed to submit form',
+        handler: submitForm
+    },
+    {
+        method: 'POST',
+        path: '/oauth/start',
+        action: 'admin',
+        usesSheets: false,
+        failure: 'Failed to create start link',
+        handler: oauth.createStartLink
+    },
+    {
+        method: 'GET',
+        path: '/oauth/start',
+        handler: oauth.startOAuth
+    },
+    {
+        method: 'GET',
+        path: '/oauth',
+        failure: 'Failed to link Google account',
+        handler: oauth.oauthCallback
+    },
+    {
+        method: 'GET',
+        path: '/oauth/accounts',
+        action: 'admin',
+        usesSheets: false,
+        handler: oauth.listLinkedAccounts
+    },
+    {
+        method: 'DELETE',
+        path: '/oauth/accounts/:email',
+        action: 'admin',
+        usesSheets: false,
+        failure: 'Failed to revoke Google account',
+        handler: oauth.revokeLinkedAccount
+    },
+    {
+        method: 'GET',
+        path: '/outbox',
+        action: 'admin',
+        usesSheets: false,
+        handler: listOutbox
+    },
+    {
+        method: 'GET',
+        path: '/outbox/:id',
+        action: 'read',
+        usesSheets: false,
+        handler: getOutboxItem
+    },
+    {
+        method: 'POST',
+        path: '/outbox/:id/retry',
+        action: 'admin',
+        usesSheets: false,
+        handler: retryOutboxItem
+    },
+    {
+        method: 'GET',
+        path: '/audit',
+        action: 'admin',
+        usesSheets: false,
+        failure: 'Failed to read the audit log',
+        handler: getAuditLog
+    }
+];
+
+function routeKey(route) {
+    return `${route.method} ${route.path}`;
+}
+
+function describeOutboxItem(item) {
+    return {
+        id: item.id,
+        status: item.status,
+        operation: item.route,
+        spreadsheetId: item.request.target.spreadsheetId,
+        sheetName: item.request.target.sheetName,
+        account: item.request.target.account,
+        serviceAccount: item.request.target.serviceAccount,
+        attempts: item.attempts,
+        lastError: item.lastError,
+        result: item.result,
+        createdAt: item.createdAt,
+        updatedAt: item.updatedAt
+    };
+}
+
+// Store the write in the outbox and tell the client where to check on it
+function queueWrite(route, request, reason) {
+    const item = outbox.enqueue(routeKey(route), {
+        params: request.params,
+        query: request.query,
+        body: request.body,
+        target: request.target,
+        apiKeyId: request.apiKey ? request.apiKey.id : null,
+        ip: request.ip
+    }, reason);
+
+    console.log(`Queued ${item.route} as ${item.id}${reason ? `: ${reason}` : ''}`);
+
+    return json(202, {
+        success: true,
+        queued: true,
+        message: 'Google Sheets is unavailable; the write was queued and will be applied in order',
+        id: item.id,
+        status: item.status,
+        statusUrl: `/outbox/${item.id}`
+    });
+}
+
+let draining = false;
+
+// Replay pending writes in the order they were queued. Stops at the first
+// transient failure so later writes never overtake earlier ones; writes that
+// fail for good (validation, bad sheet) are marked failed and skipped.
+async function drainOutbox(getSheetsService) {
+    if (draining || !outbox.isEnabled()) {
+        return;
+    }
+    draining = true;
+
+    // By default a write waits out an outage however long it lasts
+    const maxAttempts = parseInt(process.env.OUTBOX_MAX_ATTEMPTS) || Infinity;
+
+    try {
+        for (const item of outbox.pending()) {
+            const route = routes.find(candidate => routeKey(candidate) === item.route);
+            const attempts = item.attempts + 1;
+
+            let sheetsService = null;
+            try {
+                sheetsService = await getSheetsService(item.request.target);
+                const { apiKeyId, ...request } = item.request;
+                const result = await route.handler({
+                    ...request,
+                    method: route.method,
+                    headers: {},
+                    apiKey: apiKeyId ? { id: apiKeyId } : null
+                }, sheetsService);
+
+                outbox.update(item.id, {
+                    status: result.status < 400 ? 'done' : 'failed',
+                    attempts,
+                    result: { status: result.status, body: result.body }
+                });
+                if (result.audit) {
+                    await audit.record(result.audit, {
+                        route: item.route,
+                        apiKeyId,
+                        ip: request.ip,
+                        target: request.target
+                    }, getSheetsService);
+                }
+            } catch (caught) {
+                const error = translateGoogleError(caught, {
+                    ...item.request.target,
+                    clientEmail: sheetsService?.clientEmail
+                }) || caught;
+
+                if (isTransientError(error) && attempts < maxAttempts) {
+                    outbox.update(item.id, { attempts, lastError: error.message });
+                    console.log(`Outbox replay paused at ${item.id}: ${error.message}`);
+                    return;
+                }
+
+                outbox.update(item.id, {
+                    status: 'failed',
+                    attempts,
+                    lastError: error.message,
+                    result: error instanceof HttpError
+                        ? { status: error.statusCode, body: { error: error.message, ...error.details } }
+                        : null
+                });
+            }
+        }
+    } finally {
+        draining = false;
+    }
+}
+
+// Work out which spreadsheet and sheet a request targets, for both the API key
+// scope check and the handler itself. Path params (e.g. /schemas/:sheetName) win.
+// `account` picks a linked Google user (oauth.js) and `serviceAccount` a named
+// service account (serviceAccounts.js); public routes ignore both, since their
+// bodies come from third parties.
+function resolveTarget(route, request) {
+    const params = { ...request.query, ...request.body, ...request.params };
+    const defaults = route.defaults || [];
+
+    let { spreadsheetId, sheetName } = params;
+
+    if (!spreadsheetId && defaults.includes('spreadsheetId')) {
+        spreadsheetId = process.env.GOOGLE_SHEET_ID;
+    }
+    if (!sheetName && defaults.includes('sheetName')) {
+        sheetName = process.env.GOOGLE_SHEET_SHEET || 'Sheet1';
+    }
+
+    const account = route.action ? params.account : undefined;
+    const serviceAccount = route.action ? params.serviceAccount : undefined;
+
+    return { spreadsheetId, sheetName, account, serviceAccount };
+}
+
+// Match a route path such as "/entries/:row" against a request path
+function matchPath(pattern, path) {
+    const patternParts = pattern.split('/').filter(Boolean);
+    const pathParts = path.split('/').filter(Boolean);
+
+    if (patternParts.length !== pathParts.length) {
+        return null;
+    }
+
+    const params = {};
+    for (let i = 0; i < patternParts.length; i++) {
+        if (patternParts[i].startsWith(':')) {
+            params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i]);
+        } else if (patternParts[i] !== pathParts[i]) {
+            return null;
+        }
+    }
+    return params;
+}
+
+// Answer a CORS preflight (OPTIONS) for whichever of `candidates` serve the path
+function handlePreflight(path, request, candidates = routes) {
+    return cors.preflight(candidates.filter(route => matchPath(route.path, path)), request);
+}
+
+// Check CORS, authenticate, rate limit, validate (openapi.js), run the route's
+// handler and turn any failure into a response. `getSheetsService` is only called
+// once the caller is authorized, so anonymous requests never trigger a Google
+// client initialization.
+async function dispatch(route, request, getSheetsService) {
+    const used = {};
+    const trackedGetSheetsService = async target => {
+        used.target = target;
+        used.service = await getSheetsService(target);
+        return used.service;
+    };
+
+    try {
+        request.target = resolveTarget(route, request);
+
+        const origin = cors.checkRequest(route, request.target.spreadsheetId, request.headers.origin);
+        if (!origin.allowed) {
+            return json(403, { error: origin.error });
+        }
+        Object.assign(request.responseHeaders, origin.headers);
+
+        if (route.action) {
+            // Rejected keys count against the IP on every route, so an IP that
+            // has used up its attempts isn't told whether a key is valid
+            const attempts = await rateLimit.checkAuthAttempts(request.ip);
+            if (!attempts.allowed) {
+                return json(429, {
+                    error: 'Too many failed authentication attempts',
+                    retryAfter: attempts.retryAfter
+                }, { 'Retry-After': String(attempts.retryAfter) });
+            }
+
+            try {
+                request.apiKey = authorize(request.headers, {
+                    action: route.action,
+                    ...request.target
+                });
+
+                // A key limited to some sheets mustn't reach others through a range
+                rangeSheets(request).forEach(sheetName => authorize(request.headers, {
+                    action: route.action,
+                    ...request.target,
+                    sheetName
+                }));
+            } catch (error) {
+                // A valid key outside its scope (403) isn't a guess
+                if (error instanceof ApiKeyError && error.statusCode === 401) {
+                    await rateLimit.recordAuthFailure(request.ip);
+                }
+                throw error;
+            }
+        }
+
+        const limited = await rateLimit.consume(route, {
+            keyId: request.apiKey ? request.apiKey.id : null,
+            ip: request.ip
+        });
+        Object.assign(request.responseHeaders, limited.headers);
+        if (!limited.allowed) {
+            return json(429, {
+                error: 'Too many requests',
+                retryAfter: limited.retryAfter
+            });
+        }
+
+        // Invalid writes are turned away here rather than queued
+        validateRequest(route, request);
+
+        const usesSheets = route.usesSheets ?? Boolean(route.action);
+        if (usesSheets) {
+            assertNotAuditSheet(request);
+        }
+
+        // A retry with the same Idempotency-Key gets the first response back
+        if (route.idempotent) {
+            const claimed = await idempotency.claim(route, request);
+            if (claimed && claimed.replay) {
+                return claimed.replay;
+            }
+            request.idempotency = claimed;
+        }
+
+        // Once anything is queued, later writes queue behind it to keep their order
+        if (route.outbox && outbox.isEnabled() && outbox.hasPending()) {
+            return queueWrite(route, request);
+        }
+
+        const sheetsService = usesSheets ? await trackedGetSheetsService(request.target) : null;
+        return await route.handler(request, sheetsService, trackedGetSheetsService);
+    } catch (caught) {
+        const error = toHttpError(caught, request, used);
+
+        if (route.outbox && outbox.isEnabled() && request.target && isTransientError(error)) {
+            return queueWrite(route, request, error.message);
+        }
+
+        if (error instanceof HttpError) {
+            const headers = error instanceof ApiKeyError && error.statusCode === 401
+                ? { 'WWW-Authenticate': 'Bearer' }
+                : undefined;
+            return json(error.statusCode, { error: error.message, ...error.details }, headers);
+        }
+
+        console.error(`Error handling ${route.method} ${route.path}:`, error);
+        return json(500, {
+            error: route.failure || 'Failed to process request',
+            message: error.message
+        });
+    }
+}
+
+// Whatever Google objected to, as an HttpError (googleErrors.js). `used` is the
+// client and target the request last called Google with, for the hint.
+function toHttpError(error, request, used) {
+    return translateGoogleError(error, {
+        ...request.target,
+        ...used.target,
+        clientEmail: used.service?.clientEmail
+    }) || error;
+}
+
+// CORS and RateLimit-* headers go on every response, errors included
+async function handleRequest(route, request, getSheetsService) {
+    request.responseHeaders = {};
+    const { audit: change, ...result } = await dispatch(route, request, getSheetsService);
+
+    // The write has happened by now, so failing to log or remember it mustn't fail the response
+    if (change) {
+        await audit.record(change, {
+            route: routeKey(route),
+            apiKeyId: request.apiKey ? request.apiKey.id : null,
+            ip: request.ip,
+            target: request.target
+        }, getSheetsService);
+    }
+
+    if (request.idempotency) {
+        await idempotency.settle(request.idempotency, result)
+            .catch(error => console.error('Failed to store idempotent response:', error));
+    }
+
+    return { ...result, headers: { ...request.responseHeaders, ...result.headers } };
+}
+
+module.exports = { routes, handleRequest, handlePreflight, matchPath, drainOutbox, json };
@@ -0,0 +1,121 @@
+const { HttpError } = require('./errors');
+
+// What to do with object keys that don't match any column header:
+// reject the request, drop the keys, or add them as new columns
+const UNKNOWN_KEY_POLICIES = ['reject', 'ignore', 'add'];
+
+function isRecord(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function normalizeHeader(header) {
+    return String(header).trim().toLowerCase();
+}
+
+// Index of the column whose header matches `key` (trimmed, case-insensitive), or -1
+function findColumn(headers, key) {
+    const wanted = normalizeHeader(key);
+    return headers.findIndex(header => normalizeHeader(header) === wanted);
+}
+
+function toCellValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value);
+    }
+    return value;
+}
+
+function resolvePolicy(policy) {
+    const resolved = policy || process.env.UNKNOWN_KEYS || 'reject';
+    if (!UNKNOWN_KEY_POLICIES.includes(resolved)) {
+        throw new HttpError(400, `Invalid unknownKeys option '${resolved}'. Use one of: ${UNKNOWN_KEY_POLICIES.join(', ')}`);
+    }
+    return resolved;
+}
+
+// Work out which columns `keys` map to. Keys with no matching header are added
+// as new columns, dropped, or rejected depending on the policy. Returns the
+// (possibly extended) headers along with the added and ignored keys.
+function resolveKeys(headers, keys, policy) {
+    const unknownKeyPolicy = resolvePolicy(policy);
+    const columns = [...headers];
+    const newHeaders = [];
+    const unknownKeys = [];
+
+    keys.forEach(key => {
+        if (findColumn(columns, key) !== -1) {
+            return;
+        }
+        if (unknownKeyPolicy === 'add') {
+            columns.push(key);
+            newHeaders.push(key);
+        } else if (!unknownKeys.includes(key)) {
+            unknownKeys.push(key);
+        }
+    });
+
+    if (columns.length === 0) {
+        throw new HttpError(400, 'Sheet has no header row to map object keys onto');
+    }
+
+    if (unknownKeys.length > 0 && unknownKeyPolicy === 'reject') {
+        throw new HttpError(400, `Unknown columns: ${unknownKeys.join(', ')}`, {
+            unknownKeys,
+            columns: headers
+        });
+    }
+
+    return { headers: columns, newHeaders, ignoredKeys: unknownKeys };
+}
+
+// Pair a positional row with the header row; cells past the last header are keyed by column position
+function rowToRecord(headers, row) {
+    const record = {};
+    row.forEach((value, i) => {
+        record[headers[i] !== undefined && headers[i] !== '' ? headers[i] : `Column ${i + 1}`] = value;
+    });
+    return record;
+}
+
+// A record whose keys were all ignored would become a blank row
+function assertMapsToColumns(headers, record) {
+    if (!Object.keys(record).some(key => findColumn(headers, key) !== -1)) {
+        throw new HttpError(400, 'Entry has no values for any column in the sheet', { columns: headers });
+    }
+}
+
+// Turn header-keyed records into positional rows matching `headers`.
+// Columns a record doesn't mention are left blank.
+function mapRecords(headers, records, policy) {
+    const keys = records.flatMap(record => Object.keys(record));
+    const resolved = resolveKeys(headers, keys, policy);
+
+    const rows = records.map(record => {
+        assertMapsToColumns(resolved.headers, record);
+
+        const row = new Array(resolved.headers.length).fill('');
+        Object.entries(record).forEach(([key, value]) => {
+            const index = findColumn(resolved.headers, key);
+            if (index !== -1) {
+                row[index] = toCellValue(value);
+            }
+        });
+        return row;
+    });
+
+    return { ...resolved, rows };
+}
+
+module.exports = {
+    UNKNOWN_KEY_POLICIES,
+    isRecord,
+    findColumn,
+    toCellValue,
+    resolveKeys,
+    assertMapsToColumns,
+    rowToRecord,
+    mapRecords
+};
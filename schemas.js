@@ -0,0 +1,160 @@
+const { loadJsonConfig } = require('./config');
+const { HttpError } = require('./errors');
+const { findColumn } = require('./rowMapper');
+
+// Per-sheet column schemas, from SHEET_SCHEMAS (inline JSON) or
+// SHEET_SCHEMAS_FILE (default: schemas.json):
+//
+// { "schemas": [{
+//     "spreadsheetId": "1ABC..." (or "*"),
+//     "sheetName": "Signups",
+//     "columns": [
+//         { "name": "Email", "type": "email", "required": true },
+//         { "name": "Plan", "type": "enum", "values": ["free", "pro"] },
+//         { "name": "Code", "type": "string", "pattern": "^[A-Z]{3}$", "minLength": 3, "maxLength": 3 },
+//         { "name": "Seats", "type": "number", "min": 1, "max": 500 }
+//     ]
+// }] }
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const TYPES = {
+    string: () => null,
+    number: value => isNaN(Number(value)) || String(value).trim() === '' ? 'must be a number' : null,
+    boolean: value => ['true', 'false'].includes(String(value).toLowerCase()) ? null : 'must be true or false',
+    date: value => isNaN(Date.parse(value)) ? 'must be a valid date' : null,
+    email: value => EMAIL_PATTERN.test(String(value)) ? null : 'must be a valid email address',
+    url: value => {
+        try {
+            const { protocol } = new URL(String(value));
+            return ['http:', 'https:'].includes(protocol) ? null : 'must be an http(s) URL';
+        } catch (error) {
+            return 'must be a valid URL';
+        }
+    },
+    enum: (value, column) => column.values.map(String).includes(String(value))
+        ? null
+        : `must be one of: ${column.values.join(', ')}`
+};
+
+class SchemaValidationError extends HttpError {
+    constructor(errors) {
+        super(422, 'Validation failed', { errors });
+        this.name = 'SchemaValidationError';
+    }
+}
+
+let schemas = null;
+
+// Check the schema definitions up front so a typo fails at startup, not on a write
+function checkDefinition(schema, index) {
+    const where = `Schema ${index} (${schema.sheetName || 'no sheetName'})`;
+
+    if (!schema.sheetName || !Array.isArray(schema.columns)) {
+        throw new Error(`${where} needs a sheetName and a columns array`);
+    }
+
+    schema.columns.forEach(column => {
+        if (!column.name) {
+            throw new Error(`${where} has a column without a name`);
+        }
+        if (!TYPES[column.type || 'string']) {
+            throw new Error(`${where}: column '${column.name}' has unknown type '${column.type}'`);
+        }
+        if (column.type === 'enum' && !Array.isArray(column.values)) {
+            throw new Error(`${where}: enum column '${column.name}' needs a values array`);
+        }
+        if (column.pattern) {
+            new RegExp(column.pattern);
+        }
+    });
+}
+
+function loadSchemas() {
+    if (!schemas) {
+        const config = loadJsonConfig('SHEET_SCHEMAS', 'SHEET_SCHEMAS_FILE', 'schemas.json');
+        const definitions = (config && config.schemas) || [];
+        definitions.forEach(checkDefinition);
+        schemas = definitions;
+    }
+    return schemas;
+}
+
+// The schema for a sheet, preferring one tied to the spreadsheet over a "*" one
+function getSchema(spreadsheetId, sheetName) {
+    const candidates = loadSchemas().filter(schema => schema.sheetName === sheetName);
+    return candidates.find(schema => schema.spreadsheetId === spreadsheetId)
+        || candidates.find(schema => !schema.spreadsheetId || schema.spreadsheetId === '*')
+        || null;
+}
+
+function isEmpty(value) {
+    return value === undefined || value === null || String(value).trim() === '';
+}
+
+function checkValue(column, value) {
+    const typeError = TYPES[column.type || 'string'](value, column);
+    if (typeError) {
+        return typeError;
+    }
+
+    const text = String(value);
+    if (column.minLength !== undefined && text.length < column.minLength) {
+        return `must be at least ${column.minLength} characters`;
+    }
+    if (column.maxLength !== undefined && text.length > column.maxLength) {
+        return `must be at most ${column.maxLength} characters`;
+    }
+    if (column.pattern && !new RegExp(column.pattern).test(text)) {
+        return `must match the pattern ${column.pattern}`;
+    }
+    if (column.type === 'number') {
+        if (column.min !== undefined && Number(value) < column.min) {
+            return `must be at least ${column.min}`;
+        }
+        if (column.max !== undefined && Number(value) > column.max) {
+            return `must be at most ${column.max}`;
+        }
+    }
+    return null;
+}
+
+// Validate a header-keyed record against a schema. With `partial`, columns the
+// record doesn't mention are skipped (updates), but a required column still
+// can't be blanked. Returns a list of { field, message } errors.
+function validateRecord(schema, record, { partial = false } = {}) {
+    const keys = Object.keys(record);
+    const errors = [];
+
+    schema.columns.forEach(column => {
+        const keyIndex = findColumn(keys, column.name);
+        const present = keyIndex !== -1;
+        const value = present ? record[keys[keyIndex]] : undefined;
+
+        if (!present && partial) {
+            return;
+        }
+
+        if (isEmpty(value)) {
+            if (column.required) {
+                errors.push({ field: column.name, message: 'is required' });
+            }
+            return;
+        }
+
+        const message = checkValue(column, value);
+        if (message) {
+            errors.push({ field: column.name, message, value });
+        }
+    });
+
+    return errors;
+}
+
+module.exports = {
+    TYPES,
+    SchemaValidationError,
+    loadSchemas,
+    getSchema,
+    validateRecord
+};
@@ -0,0 +1,110 @@
+const { loadJsonConfig } = require('./config');
+const { HttpError } = require('./errors');
+const { GoogleApiError } = require('./googleErrors');
+const { checkSource } = require('./credentials');
+const GoogleSheetsService = require('./googleSheetsService');
+const oauth = require('./oauth');
+
+// Named service accounts, so each client's sheets can be shared with a
+// different Google identity. Accounts come from SERVICE_ACCOUNTS (inline JSON)
+// or SERVICE_ACCOUNTS_FILE (default: service-accounts.json); each has one
+// credential source (see credentials.js) and optionally the spreadsheets it
+// serves:
+//
+// { "default": "main",
+//   "accounts": [
+//     { "name": "main", "file": "credentials.json" },
+//     { "name": "acme", "env": "ACME_CREDENTIALS", "spreadsheets": ["1ABC..."] },
+//     { "name": "globex", "envPrefix": "GLOBEX_", "spreadsheets": ["1XYZ..."] }] }
+//
+// A request uses, in order: the linked Google user it names with `account`
+// (oauth.js), the service account it names with `serviceAccount`, the account
+// whose `spreadsheets` include its spreadsheet, or the default account. Without
+// a "default", an account named "default" is built from the usual credential
+// variables (credentials.js).
+
+const DEFAULT_ACCOUNT = 'default';
+
+let config = null;
+const services = new Map();
+
+function loadServiceAccounts() {
+    if (!config) {
+        const loaded = loadJsonConfig('SERVICE_ACCOUNTS', 'SERVICE_ACCOUNTS_FILE', 'service-accounts.json') || {};
+        const accounts = new Map([[DEFAULT_ACCOUNT, { name: DEFAULT_ACCOUNT, source: undefined, spreadsheets: [] }]]);
+        const names = new Set();
+
+        (loaded.accounts || []).forEach((account, index) => {
+            const where = `Service account ${index} (${account.name || 'no name'})`;
+            if (!account.name) {
+                throw new Error(`${where} needs a name`);
+            }
+            if (names.has(account.name)) {
+                throw new Error(`Service account '${account.name}' is defined more than once`);
+            }
+            names.add(account.name);
+            checkSource(account, where);
+
+            const { name, spreadsheets = [], ...source } = account;
+            accounts.set(name, { name, source, spreadsheets });
+        });
+
+        const defaultName = loaded.default || DEFAULT_ACCOUNT;
+        if (!accounts.has(defaultName)) {
+            throw new Error(`The default service account '${defaultName}' is not defined`);
+        }
+
+        // The same spreadsheet can't be served by two identities
+        const owners = new Map();
+        accounts.forEach(account => account.spreadsheets.forEach(spreadsheetId => {
+            if (owners.has(spreadsheetId)) {
+                throw new Error(`Spreadsheet ${spreadsheetId} is assigned to both '${owners.get(spreadsheetId)}' and '${account.name}'`);
+            }
+            owners.set(spreadsheetId, account.name);
+        }));
+
+        config = { accounts, defaultName, owners };
+    }
+    return config;
+}
+
+// Which service account serves a request's target
+function serviceAccountFor({ serviceAccount, spreadsheetId } = {}) {
+    const { accounts, defaultName, owners } = loadServiceAccounts();
+
+    if (serviceAccount) {
+        if (!accounts.has(serviceAccount)) {
+            throw new HttpError(400, `Unknown service account '${serviceAccount}'`);
+        }
+        return serviceAccount;
+    }
+    return owners.get(spreadsheetId) || defaultName;
+}
+
+// One client per service account, shared across requests
+function serviceFor(name) {
+    if (!services.has(name)) {
+        services.set(name, new GoogleSheetsService(loadServiceAccounts().accounts.get(name).source));
+    }
+    return services.get(name);
+}
+
+// The initialized client for a target ({ account, serviceAccount, spreadsheetId },
+// all optional). A failed initialization is retried in the background
+// (GoogleSheetsService.ready) and reported as 503 so writes are queued rather than failed.
+async function getSheetsService(target = {}) {
+    if (target.account) {
+        return oauth.getUserSheetsService(target.account);
+    }
+
+    const service = serviceFor(serviceAccountFor(target));
+    try {
+        return await service.ready();
+    } catch (error) {
+        throw new GoogleApiError(503, 'SHEETS_NOT_INITIALIZED', `Google Sheets service not initialized: ${error.message}`, {
+            hint: 'Check the service account credentials; initialization is retried in the background'
+        });
+    }
+}
+
+module.exports = { DEFAULT_ACCOUNT, loadServiceAccounts, serviceAccountFor, getSheetsService };
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const { HttpError } = require('./errors');
+const { findColumn } = require('./rowMapper');
+
+// Turn POST /sheets' provisioning spec into the batchUpdate requests that create
+// the sheet ready to use, so the whole thing is one call that either fully
+// succeeds or leaves the spreadsheet untouched:
+//
+// {
+//     "headers": ["Date", "Customer", "Total", "Status", "Paid"],
+//     "frozenRows": 1,
+//     "frozenColumns": 0,
+//     "headerStyle": { "bold": true, "backgroundColor": "#d9ead3", "horizontalAlignment": "CENTER" },
+//     "columns": {
+//         "Date": { "width": 110, "numberFormat": { "type": "DATE", "pattern": "yyyy-mm-dd" } },
+//         "Total": { "numberFormat": { "type": "CURRENCY" } },
+//         "Status": { "dropdown": ["open", "shipped", "cancelled"] },
+//         "E": { "checkbox": true }
+//     },
+//     "protectedRanges": [{ "range": "1:1", "description": "Header row", "warningOnly": true }]
+// }
+//
+// `columns` are keyed by header (case-insensitive) or column letter. Formats and
+// validation apply below the header row; protected ranges are A1 ranges on the
+// new sheet, the whole sheet when `range` is left out.
+
+const DEFAULT_ROWS = 1000;
+const DEFAULT_COLUMNS = 26;
+
+function toColor(hex) {
+    const value = parseInt(hex.slice(1), 16);
+    return {
+        red: ((value >> 16) & 255) / 255,
+        green: ((value >> 8) & 255) / 255,
+        blue: (value & 255) / 255
+    };
+}
+
+function toExtendedValue(value) {
+    if (typeof value === 'number') {
+        return { numberValue: value };
+    }
+    if (typeof value === 'boolean') {
+        return { boolValue: value };
+    }
+    return { stringValue: String(value) };
+}
+
+function columnIndex(letters) {
+    return [...letters.toUpperCase()].reduce((column, letter) => column * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// A `columns` key: a header, else a column letter
+function resolveColumn(headers, key) {
+    const index = findColumn(headers, key);
+    if (index !== -1) {
+        return index;
+    }
+    if (/^[A-Za-z]{1,3}$/.test(key)) {
+        return columnIndex(key);
+    }
+    throw new HttpError(400, `Unknown column '${key}' in columns: use a header or a column letter`, { columns: headers });
+}
+
+// "A1:E1", "A:C", "2:2", "B2" or "A2:A" -> a GridRange; open ends stay open
+function toGridRange(sheetId, a1) {
+    const match = /^([A-Za-z]*)(\d*)(?::([A-Za-z]*)(\d*))?$/.exec(a1 || '');
+    const [, startColumn, startRow, endColumn = startColumn, endRow = startRow] = match || [];
+
+    if (!match || (!startColumn && !startRow) || (a1.includes(':') && !endColumn && !endRow)) {
+        throw new HttpError(400, `Invalid protected range '${a1}': use an A1 range on the new sheet, e.g. A1:E1, 1:1 or C:C`);
+    }
+
+    const range = { sheetId };
+    if (startRow) {
+        range.startRowIndex = Number(startRow) - 1;
+    }
+    if (endRow) {
+        range.endRowIndex = Number(endRow);
+    }
+    if (startColumn) {
+        range.startColumnIndex = columnIndex(startColumn);
+    }
+    if (endColumn) {
+        range.endColumnIndex = columnIndex(endColumn) + 1;
+    }
+    return range;
+}
+
+function headerRowRequest(sheetId, headers) {
+    return {
+        updateCells: {
+            start: { sheetId, rowIndex: 0, columnIndex: 0 },
+            rows: [{ values: headers.map(header => header === null ? {} : { userEnteredValue: toExtendedValue(header) }) }],
+            fields: 'userEnteredValue'
+        }
+    };
+}
+
+function headerStyleRequest(sheetId, style) {
+    const format = { textFormat: {} };
+    const fields = [];
+
+    ['bold', 'italic', 'fontSize'].forEach(name => {
+        if (style[name] !== undefined) {
+            format.textFormat[name] = style[name];
+            fields.push(`textFormat.${name}`);
+        }
+    });
+    if (style.textColor) {
+        format.textFormat.foregroundColorStyle = { rgbColor: toColor(style.textColor) };
+        fields.push('textFormat.foregroundColorStyle');
+    }
+    if (style.backgroundColor) {
+        format.backgroundColorStyle = { rgbColor: toColor(style.backgroundColor) };
+        fields.push('backgroundColorStyle');
+    }
+    if (style.horizontalAlignment) {
+        format.horizontalAlignment = style.horizontalAlignment;
+        fields.push('horizontalAlignment');
+    }
+
+    if (fields.length === 0) {
+        return [];
+    }
+    return [{
+        repeatCell: {
+            range: { sheetId, startRowIndex: 0, endRowIndex: 1 },
+            cell: { userEnteredFormat: format },
+            fields: fields.map(field => `userEnteredFormat.${field}`).join(',')
+        }
+    }];
+}
+
+function columnRequests(sheetId, column, options, firstDataRow) {
+    const requests = [];
+    const cells = { sheetId, startRowIndex: firstDataRow, startColumnIndex: column, endColumnIndex: column + 1 };
+
+    if (options.width !== undefined) {
+        requests.push({
+            updateDimensionProperties: {
+                range: { sheetId, dimension: 'COLUMNS', startIndex: column, endIndex: column + 1 },
+                properties: { pixelSize: options.width },
+                fields: 'pixelSize'
+            }
+        });
+    }
+
+    if (options.numberFormat) {
+        requests.push({
+            repeatCell: {
+                range: cells,
+                cell: { userEnteredFormat: { numberFormat: options.numberFormat } },
+                fields: 'userEnteredFormat.numberFormat'
+            }
+        });
+    }
+
+    if (options.dropdown) {
+        requests.push({
+            setDataValidation: {
+                range: cells,
+                rule: {
+                    condition: {
+                        type: 'ONE_OF_LIST',
+                        values: options.dropdown.map(value => ({ userEnteredValue: String(value) }))
+                    },
+                    strict: options.strict !== false,
+                    showCustomUi: true
+                }
+            }
+        });
+    }
+
+    if (options.checkbox) {
+        requests.push({
+            setDataValidation: {
+                range: cells,
+                rule: { condition: { type: 'BOOLEAN' }, strict: true }
+            }
+        });
+    }
+
+    return requests;
+}
+
+function protectedRangeRequest(sheetId, protection) {
+    const protectedRange = {
+        range: protection.range ? toGridRange(sheetId, protection.range) : { sheetId },
+        description: protection.description,
+        warningOnly: Boolean(protection.warningOnly)
+    };
+    // Without editors, only the spreadsheet's owner and the account we act as can edit it
+    if (!protection.warningOnly && protection.editors) {
+        protectedRange.editors = { users: protection.editors };
+    }
+    return { addProtectedRange: { protectedRange } };
+}
+
+// The batchUpdate requests creating `sheetName` as `spec` describes. The sheet
+// ID is chosen here, since the requests after addSheet have to name it.
+function buildSheetRequests(sheetName, spec = {}) {
+    const { headers = [], frozenRows = 0, frozenColumns = 0, headerStyle, columns = {}, protectedRanges = [] } = spec;
+    const sheetId = crypto.randomInt(1, 2 ** 31 - 1);
+    const firstDataRow = headers.length > 0 ? 1 : 0;
+
+    const columnOptions = Object.entries(columns).map(([key, options]) => {
+        if (options.dropdown && options.checkbox) {
+            throw new HttpError(400, `Column '${key}' can have a dropdown or a checkbox, not both`);
+        }
+        return [resolveColumn(headers, key), options];
+    });
+
+    const requests = [
+        ...(headers.length > 0 ? [headerRowRequest(sheetId, headers)] : []),
+        ...(headerStyle ? headerStyleRequest(sheetId, headerStyle) : []),
+        ...columnOptions.flatMap(([column, options]) => columnRequests(sheetId, column, options, firstDataRow)),
+        ...protectedRanges.map(protection => protectedRangeRequest(sheetId, protection))
+    ];
+
+    // Google rejects ranges past the grid, so make room for every column named
+    const lastColumn = Math.max(
+        headers.length - 1,
+        ...columnOptions.map(([column]) => column),
+        ...requests.map(request => (request.addProtectedRange?.protectedRange.range.endColumnIndex ?? 0) - 1)
+    );
+    const lastRow = Math.max(frozenRows, ...requests.map(request => request.addProtectedRange?.protectedRange.range.endRowIndex ?? 0));
+
+    const addSheet = {
+        addSheet: {
+            properties: {
+                sheetId,
+                title: sheetName,
+                gridProperties: {
+                    rowCount: Math.max(DEFAULT_ROWS, lastRow),
+                    columnCount: Math.max(DEFAULT_COLUMNS, lastColumn + 1, frozenColumns),
+                    frozenRowCount: frozenRows,
+                    frozenColumnCount: frozenColumns
+                }
+            }
+        }
+    };
+
+    return [addSheet, ...requests];
+}
+
+module.exports = { buildSheetRequests };
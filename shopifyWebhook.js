@@ -0,0 +1,261 @@
+const { loadJsonConfig } = require('./config');
+const { HttpError } = require('./errors');
+const { verifySignature, ensureHeaderRow } = require('./webhooks');
+const { createMemoryStore, createFileStore, createBlobsStore } = require('./idempotency');
+const audit = require('./audit');
+
+// Shopify "orders/create" (or "orders/paid") webhook: verify the signature,
+// turn the order into rows and append them with appendRows.
+//
+// The column mapping comes from SHOPIFY_MAPPING (inline JSON) or
+// SHOPIFY_MAPPING_FILE (default: shopify-mapping.json); without one,
+// DEFAULT_MAPPING is used. Each column's `field` is a dotted path into the order,
+// where `line_item` is the current line item. `fields` joins several paths with
+// `separator` (default: a space).
+//
+// { "spreadsheetId": "1ABC...", "sheetName": "Orders", "rowPer": "lineItem" | "order",
+//   "columns": [{ "header": "Order", "field": "name" },
+//               { "header": "Customer", "fields": ["customer.first_name", "customer.last_name"] }] }
+
+const DEFAULT_MAPPING = {
+    sheetName: 'Orders',
+    rowPer: 'lineItem',
+    columns: [
+        { header: 'Order', field: 'name' },
+        { header: 'Order Date', field: 'created_at' },
+        { header: 'Email', field: 'email' },
+        { header: 'Customer', fields: ['customer.first_name', 'customer.last_name'] },
+        { header: 'Product', field: 'line_item.title' },
+        { header: 'Variant', field: 'line_item.variant_title' },
+        { header: 'SKU', field: 'line_item.sku' },
+        { header: 'Quantity', field: 'line_item.quantity' },
+        { header: 'Price', field: 'line_item.price' },
+        { header: 'Subtotal', field: 'subtotal_price' },
+        { header: 'Shipping', field: 'total_shipping_price_set.shop_money.amount' },
+        { header: 'Tax', field: 'total_tax' },
+        { header: 'Total', field: 'total_price' },
+        { header: 'Currency', field: 'currency' },
+        { header: 'Ship To', field: 'shipping_address.name' },
+        {
+            header: 'Shipping Address',
+            fields: [
+                'shipping_address.address1',
+                'shipping_address.city',
+                'shipping_address.province_code',
+                'shipping_address.zip',
+                'shipping_address.country_code'
+            ],
+            separator: ', '
+        }
+    ]
+};
+
+// Shopify signs the raw request body with the app's secret (base64 HMAC-SHA256)
+const SIGNATURE = {
+    scheme: 'hmac-sha256',
+    header: 'X-Shopify-Hmac-Sha256',
+    encoding: 'base64',
+    secretEnv: 'SHOPIFY_WEBHOOK_SECRET'
+};
+
+// Shopify retries a failed delivery for up to 48 hours
+const DELIVERY_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+// How long a delivery being written holds its ID. One still marked after this
+// was cut short (the process stopped), and Shopify's next retry writes it again.
+const PROCESSING_TTL_MS = 2 * 60 * 1000;
+
+// Delivery IDs live in a store like idempotency.js's: SHOPIFY_DELIVERY_STORE picks
+// 'memory' (per process), 'file' (SHOPIFY_DELIVERY_FILE, default:
+// shopify-deliveries.json; the default) or 'blobs' (Netlify Blobs, store
+// SHOPIFY_DELIVERY_BLOBS_STORE, default: shopify-deliveries; the default on Netlify)
+const STORES = {
+    memory: () => createMemoryStore(),
+    file: () => createFileStore(process.env.SHOPIFY_DELIVERY_FILE || 'shopify-deliveries.json'),
+    blobs: () => createBlobsStore(process.env.SHOPIFY_DELIVERY_BLOBS_STORE || 'shopify-deliveries')
+};
+
+let mapping = null;
+let store = null;
+let defaultStore = 'file';
+const headersChecked = new Set();
+
+function getStore() {
+    if (!store) {
+        const name = process.env.SHOPIFY_DELIVERY_STORE || defaultStore;
+        if (!STORES[name]) {
+            throw new Error(`Unknown SHOPIFY_DELIVERY_STORE '${name}'. Use one of: ${Object.keys(STORES).join(', ')}`);
+        }
+        store = STORES[name]();
+    }
+    return store;
+}
+
+function setStore(customStore) {
+    store = customStore;
+}
+
+// Netlify functions in Lambda compatibility mode (netlifyAdapter.js) hand Netlify
+// Blobs its credentials with each event
+function connectNetlify(event) {
+    defaultStore = 'blobs';
+    if ((process.env.SHOPIFY_DELIVERY_STORE || defaultStore) === 'blobs' && event.blobs) {
+        require('@netlify/blobs').connectLambda(event);
+    }
+}
+
+function loadMapping() {
+    if (!mapping) {
+        const config = loadJsonConfig('SHOPIFY_MAPPING', 'SHOPIFY_MAPPING_FILE', 'shopify-mapping.json');
+        mapping = { ...DEFAULT_MAPPING, ...config };
+
+        if (!['lineItem', 'order'].includes(mapping.rowPer)) {
+            throw new Error(`Shopify mapping rowPer must be 'lineItem' or 'order', not '${mapping.rowPer}'`);
+        }
+        if (!Array.isArray(mapping.columns) || mapping.columns.some(column => !column.header || !(column.field || column.fields))) {
+            throw new Error('Shopify mapping needs a columns array of { header, field } or { header, fields }');
+        }
+    }
+    return mapping;
+}
+
+function valueAt(source, path) {
+    const value = path.split('.').reduce((current, key) => current == null ? undefined : current[key], source);
+    return value == null ? '' : value;
+}
+
+function columnValue(column, context) {
+    if (column.fields) {
+        return column.fields
+            .map(path => valueAt(context, path))
+            .filter(value => value !== '')
+            .join(column.separator ?? ' ');
+    }
+    return valueAt(context, column.field);
+}
+
+// One row per line item (order fields repeated on each), or one row per order
+function orderToRows(order, { rowPer, columns }) {
+    const lineItems = rowPer === 'lineItem' && Array.isArray(order.line_items) && order.line_items.length > 0
+        ? order.line_items
+        : [null];
+
+    return lineItems.map(lineItem => {
+        const context = { ...order, line_item: lineItem };
+        return columns.map(column => columnValue(column, context));
+    });
+}
+
+async function appendOrder(sheetsService, target, rows, headers) {
+    const key = `${target.spreadsheetId}/${target.sheetName}`;
+
+    // Only check the header row once per process, to keep within Shopify's timeout
+    if (!headersChecked.has(key)) {
+        await ensureHeaderRow(sheetsService, target.spreadsheetId, target.sheetName, headers);
+        headersChecked.add(key);
+    }
+
+    // One call for every row, so a failed delivery leaves nothing for its retry to duplicate
+    await sheetsService.appendRows(target.spreadsheetId, target.sheetName, rows);
+}
+
+// Mark a delivery done, or forget it after a failed append. The append's outcome
+// stands either way, so a store failure is only logged.
+async function settleDelivery(deliveryId, done) {
+    if (!deliveryId) {
+        return;
+    }
+    try {
+        if (done) {
+            await getStore().set(deliveryId, { status: 'done' }, DELIVERY_RETENTION_MS);
+        } else {
+            await getStore().delete(deliveryId);
+        }
+    } catch (error) {
+        console.error(`Failed to update Shopify delivery ${deliveryId}:`, error);
+    }
+}
+
+// POST /shopify-order. Shopify gives up on a webhook after 5 seconds, so if the
+// append is still running after SHOPIFY_RESPONSE_TIMEOUT ms (default 4000) the
+// delivery is answered with 503. The append carries on, and Shopify's retry
+// finds the delivery done (200), still being written (409) or, if it failed,
+// gone, so the order is written again.
+async function handleShopifyOrder(request, sheetsService, getSheetsService) {
+    if (verifySignature(request, SIGNATURE)) {
+        throw new HttpError(401, 'Invalid Shopify webhook signature');
+    }
+
+    const order = request.body;
+    if (!order || typeof order !== 'object' || Array.isArray(order)) {
+        throw new HttpError(400, 'Webhook body must be a Shopify order object');
+    }
+
+    // Deliveries are retried with the same webhook ID; fall back to the order ID
+    const deliveryId = request.headers['x-shopify-webhook-id'] || (order.id && `order-${order.id}`);
+
+    const delivery = deliveryId ? await getStore().get(deliveryId) : null;
+    if (delivery && delivery.status === 'done') {
+        return {
+            status: 200,
+            body: { success: true, duplicate: true, deliveryId, status: delivery.status }
+        };
+    }
+    if (delivery) {
+        throw new HttpError(409, 'This delivery is still being written', { deliveryId });
+    }
+
+    const config = loadMapping();
+    const target = {
+        spreadsheetId: config.spreadsheetId || process.env.GOOGLE_SHEET_ID,
+        sheetName: config.sheetName
+    };
+    const rows = orderToRows(order, config);
+    const service = await getSheetsService({ spreadsheetId: target.spreadsheetId });
+
+    if (deliveryId) {
+        await getStore().set(deliveryId, { status: 'processing' }, PROCESSING_TTL_MS);
+    }
+
+    const append = appendOrder(service, target, rows, config.columns.map(column => column.header))
+        .then(async () => {
+            console.log(`Shopify order ${order.name || order.id}: added ${rows.length} row(s)`);
+            await settleDelivery(deliveryId, true);
+        }, async error => {
+            // Forget the delivery so Shopify's retry is processed
+            await settleDelivery(deliveryId, false);
+            throw error;
+        });
+
+    const timeoutMs = parseInt(process.env.SHOPIFY_RESPONSE_TIMEOUT) || 4000;
+    let timer;
+    const timedOut = new Promise(resolve => {
+        timer = setTimeout(() => resolve(true), timeoutMs);
+    });
+
+    const slow = await Promise.race([append.then(() => false), timedOut]).finally(() => clearTimeout(timer));
+    const change = { operation: 'append', ...target, after: rows };
+
+    // The response goes out before the append finishes, so the audit record is written here
+    if (slow) {
+        append.then(
+            () => audit.record(change, { route: 'POST /shopify-order', ip: request.ip, target }, getSheetsService),
+            error => console.error(`Shopify order ${order.name || order.id} failed after its delivery timed out:`, error)
+        );
+        throw new HttpError(503, 'The order is still being written; Shopify will retry the delivery', { deliveryId });
+    }
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            deliveryId,
+            spreadsheetId: target.spreadsheetId,
+            sheetName: target.sheetName,
+            rows: rows.length
+        },
+        audit: change
+    };
+}
+
+module.exports = { DEFAULT_MAPPING, STORES, loadMapping, orderToRows, setStore, connectNetlify, handleShopifyOrder };
@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { loadJsonConfig } = require('./config');
+const { HttpError } = require('./errors');
+
+// Generic inbound webhooks: POST /hooks/:hookId turns each event into sheet rows.
+// Hooks are defined in WEBHOOKS (inline JSON) or WEBHOOKS_FILE (default: webhooks.json):
+//
+// { "hooks": [{
+//     "id": "stripe-payments",
+//     "spreadsheetId": "1ABC..." (default: GOOGLE_SHEET_ID),
+//     "sheetName": "Payments",
+//     "signature": { "scheme": "stripe", "secretEnv": "STRIPE_WEBHOOK_SECRET" },
+//     "explode": "$.data.object.lines.data",
+//     "columns": [
+//         { "header": "Event", "path": "$.type" },
+//         { "header": "Customer", "path": "$.data.object.customer_email" },
+//         { "header": "Item", "path": "$item.description" },
+//         { "header": "Source", "value": "stripe" }
+//     ]
+// }] }
+//
+// Paths are JSONPath-style: `$` is the payload and, with `explode`, `$item` is
+// the current element of the exploded array (one row per element). `paths`
+// joins several values with `separator` (default: a space).
+
+const SIGNATURE_SCHEMES = {
+    // HMAC-SHA256 of the raw body in a header, e.g. GitHub (hex, "sha256=" prefix),
+    // Shopify (base64) or Typeform (base64, "sha256=" prefix)
+    'hmac-sha256': (request, signature, secret) => {
+        const header = signature.header || 'X-Signature';
+        let received = headerValue(request.headers, header);
+        if (!received) {
+            return `Missing ${header} header`;
+        }
+        if (signature.prefix) {
+            if (!received.startsWith(signature.prefix)) {
+                return `${header} must start with '${signature.prefix}'`;
+            }
+            received = received.slice(signature.prefix.length);
+        }
+
+        const expected = hmac(secret, request.rawBody, signature.encoding || 'hex');
+        return safeEqual(received, expected) ? null : 'Invalid signature';
+    },
+
+    // Stripe-Signature: t=<timestamp>,v1=<hex HMAC of "<timestamp>.<body>">
+    stripe: (request, signature, secret) => {
+        const header = signature.header || 'Stripe-Signature';
+        const value = headerValue(request.headers, header);
+        if (!value) {
+            return `Missing ${header} header`;
+        }
+
+        const parts = value.split(',').map(part => part.trim().split('='));
+        const timestamp = (parts.find(([key]) => key === 't') || [])[1];
+        const signatures = parts.filter(([key]) => key === 'v1').map(([, sig]) => sig);
+        if (!timestamp || signatures.length === 0) {
+            return `Malformed ${header} header`;
+        }
+
+        const tolerance = signature.tolerance ?? 300;
+        if (Math.abs(Date.now() / 1000 - Number(timestamp)) > tolerance) {
+            return 'Signature timestamp is outside the tolerance window';
+        }
+
+        const expected = hmac(secret, `${timestamp}.${request.rawBody}`, 'hex');
+        return signatures.some(sig => safeEqual(sig, expected)) ? null : 'Invalid signature';
+    },
+
+    // A shared secret sent as-is in a header (or in the `token` query parameter)
+    token: (request, signature, secret) => {
+        const header = signature.header || 'X-Webhook-Token';
+        const received = headerValue(request.headers, header) || request.query[signature.query || 'token'];
+        if (!received) {
+            return `Missing ${header} header`;
+        }
+        return safeEqual(received, secret) ? null : 'Invalid token';
+    },
+
+    none: () => null
+};
+
+let hooks = null;
+
+function hmac(secret, payload, encoding) {
+    return crypto.createHmac('sha256', secret).update(payload || '', 'utf8').digest(encoding);
+}
+
+function safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+// Node and Netlify both lower-case header names
+function headerValue(headers, name) {
+    const value = headers[name.toLowerCase()];
+    return Array.isArray(value) ? value[0] : value;
+}
+
+// Check the hook's signature config; returns null when valid, or why not
+function verifySignature(request, signature) {
+    const secret = signature.secretEnv ? process.env[signature.secretEnv] : signature.secret;
+    if (signature.scheme !== 'none' && !secret) {
+        throw new Error(`No secret configured for the ${signature.scheme} signature`);
+    }
+    return SIGNATURE_SCHEMES[signature.scheme](request, signature, secret);
+}
+
+// Split "$.data.items[0]['first name']" into ['$', 'data', 'items', 0, 'first name']
+function parsePath(path) {
+    const match = String(path).match(/^(\$item|\$)/);
+    if (!match) {
+        throw new Error(`Path '${path}' must start with $ or $item`);
+    }
+
+    const tokens = [match[1]];
+    const rest = path.slice(match[1].length);
+    const pattern = /\.([^.[\]]+)|\[(\d+)\]|\[['"]([^'"]+)['"]\]/g;
+    let consumed = 0;
+    let step;
+
+    while ((step = pattern.exec(rest)) !== null) {
+        if (step.index !== consumed) {
+            break;
+        }
+        tokens.push(step[2] !== undefined ? Number(step[2]) : (step[1] ?? step[3]));
+        consumed = pattern.lastIndex;
+    }
+
+    if (consumed !== rest.length) {
+        throw new Error(`Path '${path}' is not a valid JSONPath-style path`);
+    }
+    return tokens;
+}
+
+function evaluatePath(path, context) {
+    const [root, ...keys] = parsePath(path);
+    const value = keys.reduce((current, key) => current == null ? undefined : current[key], context[root]);
+    return value == null ? '' : value;
+}
+
+function columnValue(column, context) {
+    if (column.value !== undefined) {
+        return column.value;
+    }
+
+    const value = column.paths
+        ? column.paths.map(path => evaluatePath(path, context)).filter(part => part !== '').join(column.separator ?? ' ')
+        : evaluatePath(column.path, context);
+
+    // Nested objects would otherwise be written as "[object Object]"
+    return typeof value === 'object' ? JSON.stringify(value) : value;
+}
+
+// Check the hook definitions up front so a typo fails at startup, not on a delivery
+function checkDefinition(hook, index) {
+    const where = `Hook ${index} (${hook.id || 'no id'})`;
+
+    if (!hook.id || !hook.sheetName || !Array.isArray(hook.columns) || hook.columns.length === 0) {
+        throw new Error(`${where} needs an id, a sheetName and a columns array`);
+    }
+    if (!hook.signature || !SIGNATURE_SCHEMES[hook.signature.scheme]) {
+        throw new Error(`${where} needs a signature scheme: ${Object.keys(SIGNATURE_SCHEMES).join(', ')}`);
+    }
+    if (hook.signature.scheme !== 'none' && !hook.signature.secret && !hook.signature.secretEnv) {
+        throw new Error(`${where} needs a signature secret or secretEnv`);
+    }
+
+    hook.columns.forEach(column => {
+        if (!column.header || (column.value === undefined && !column.path && !Array.isArray(column.paths))) {
+            throw new Error(`${where} has a column without a header and a path, paths or value`);
+        }
+        [column.path, ...(column.paths || [])].filter(Boolean).forEach(parsePath);
+    });
+
+    if (hook.explode) {
+        parsePath(hook.explode);
+    }
+}
+
+function loadHooks() {
+    if (!hooks) {
+        const config = loadJsonConfig('WEBHOOKS', 'WEBHOOKS_FILE', 'webhooks.json');
+        const definitions = (config && config.hooks) || [];
+        definitions.forEach(checkDefinition);
+
+        const ids = definitions.map(hook => hook.id);
+        const duplicate = ids.find((id, i) => ids.indexOf(id) !== i);
+        if (duplicate) {
+            throw new Error(`Hook id '${duplicate}' is defined more than once`);
+        }
+        hooks = definitions;
+    }
+    return hooks;
+}
+
+// Use these hook definitions instead of the configured ones; null loads the configuration again
+function setHooks(definitions) {
+    if (definitions) {
+        definitions.forEach(checkDefinition);
+    }
+    hooks = definitions;
+}
+
+// One row per element of the `explode` array, or a single row for the payload
+function payloadToRows(hook, payload) {
+    const items = hook.explode ? evaluatePath(hook.explode, { $: payload }) : [null];
+    if (hook.explode && !Array.isArray(items)) {
+        return [];
+    }
+
+    return items.map(item => hook.columns.map(column => columnValue(column, { $: payload, $item: item })));
+}
+
+// Give an empty sheet the mapping's header row before the first append
+async function ensureHeaderRow(sheetsService, spreadsheetId, sheetName, headers) {
+    const existing = await sheetsService.getHeaderRow(spreadsheetId, sheetName);
+    if (existing.length === 0) {
+        await sheetsService.setHeaderRow(spreadsheetId, sheetName, headers);
+    }
+}
+
+// POST /hooks/:hookId. The Sheets client is fetched only once the signature
+// checks out, for the service account that serves the hook's spreadsheet.
+async function handleHook(request, sheetsService, getSheetsService) {
+    const hook = loadHooks().find(candidate => candidate.id === request.params.hookId);
+    if (!hook) {
+        throw new HttpError(404, `No webhook with id '${request.params.hookId}'`);
+    }
+
+    const problem = verifySignature(request, hook.signature);
+    if (problem) {
+        throw new HttpError(401, problem);
+    }
+
+    const spreadsheetId = hook.spreadsheetId || process.env.GOOGLE_SHEET_ID;
+    const rows = payloadToRows(hook, request.body);
+
+    if (rows.length > 0) {
+        const service = await getSheetsService({ spreadsheetId });
+        await ensureHeaderRow(service, spreadsheetId, hook.sheetName, hook.columns.map(column => column.header));
+        // One call for every row, so a failed delivery leaves nothing for the sender's retry to duplicate
+        await service.appendRows(spreadsheetId, hook.sheetName, rows);
+    }
+
+    console.log(`Webhook ${hook.id}: added ${rows.length} row(s)`);
+
+    return {
+        status: 200,
+        body: {
+            success: true,
+            hookId: hook.id,
+            spreadsheetId,
+            sheetName: hook.sheetName,
+            rows: rows.length
+        },
+        audit: rows.length > 0 ? { operation: 'append', spreadsheetId, sheetName: hook.sheetName, after: rows } : undefined
+    };
+}
+
+module.exports = {
+    SIGNATURE_SCHEMES,
+    loadHooks,
+    setHooks,
+    verifySignature,
+    ensureHeaderRow,
+    payloadToRows,
+    handleHook
+};